@@ -1,25 +1,836 @@
 import { createElement } from '@lwc/engine-dom';
 import QrCode from 'c/qrCode';
+import { getRecord } from 'lightning/uiRecordApi';
+import { CurrentPageReference } from 'lightning/navigation';
+import USER_ID from '@salesforce/user/Id';
+import saveQrCode from '@salesforce/apex/QrCodeFileController.saveQrCode';
+import getStyle from '@salesforce/apex/QrCodeStyleService.getStyle';
+import signValue from '@salesforce/apex/QrCodeSigningService.signValue';
+import { loadScript } from 'lightning/platformResourceLoader';
+
+jest.mock(
+    '@salesforce/apex/QrCodeFileController.saveQrCode',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/QrCodeStyleService.getStyle',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return { default: createApexTestWireAdapter(jest.fn()) };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/QrCodeSigningService.signValue',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock(
+    'lightning/actions',
+    () => ({
+        CloseActionScreenEvent: class extends CustomEvent {
+            constructor() {
+                super('close');
+            }
+        }
+    }),
+    { virtual: true }
+);
+
+jest.mock('lightning/platformResourceLoader', () => ({
+    loadScript: jest.fn(() => Promise.resolve())
+}));
+
+const RECORD_ID = '003000000000001AAA';
+
+// Fixtures for each value mode
+const mockRecord = require('./data/getRecord.json');
+const mockCommunityPageRef = require('./data/pageReferenceCommunity.json');
+const mockAppPageRef = require('./data/pageReferenceAppPage.json');
+const mockHomePageRef = require('./data/pageReferenceHomePage.json');
+const mockQuickActionPageRef = require('./data/pageReferenceQuickAction.json');
+
+const withField = (record, field, value) => ({
+    ...record,
+    fields: { ...record.fields, [field]: { value, displayValue: null } }
+});
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Each instance records the containers it was appended to and the options it was updated with
+const mockQrCodeStyling = () => jest.fn().mockImplementation(() => ({
+    append: jest.fn((container) => container.appendChild(document.createElement('canvas'))),
+    update: jest.fn(),
+    download: jest.fn(() => Promise.resolve()),
+    getRawData: jest.fn(() => Promise.resolve(new Blob(['img'], { type: 'image/png' })))
+}));
+
+const getInstances = () => global.QRCodeStyling.mock.results.map((result) => result.value);
+
+const createQrCode = (props = {}) => {
+    const element = createElement('c-qr-code', {
+        is: QrCode
+    });
+    Object.assign(element, {
+        recordId: RECORD_ID,
+        objectApiName: 'Contact',
+        qrCodeValueFieldApiName: 'Id',
+        ...props
+    });
+    document.body.appendChild(element);
+    return element;
+};
 
 describe('c-qr-code', () => {
+    beforeEach(() => {
+        global.QRCodeStyling = mockQrCodeStyling();
+    });
+
     afterEach(() => {
         // The jsdom instance is shared across test cases in a single file so reset the DOM
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        jest.clearAllMocks();
+        delete global.QRCodeStyling;
+    });
+
+    describe('value modes', () => {
+        const pageProps = { recordId: undefined, objectApiName: undefined, qrCodeValueFieldApiName: undefined };
+
+        it('uses the record field on record pages', async () => {
+            createQrCode();
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            expect(getRecord.getLastConfig()).toEqual(expect.objectContaining({
+                recordId: RECORD_ID,
+                fields: ['Contact.Id']
+            }));
+            expect(global.QRCodeStyling.mock.calls[0][0].data).toBe(RECORD_ID);
+        });
+
+        it('prefers the record field over a provided value', async () => {
+            createQrCode({ providedValue: 'ignored' });
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            expect(global.QRCodeStyling.mock.calls[0][0].data).toBe(RECORD_ID);
+        });
+
+        it('waits for the record before drawing', async () => {
+            const element = createQrCode();
+            await flushPromises();
+
+            expect(global.QRCodeStyling).not.toHaveBeenCalled();
+            expect(element.shadowRoot.querySelector('.qrcode')).toBeNull();
+        });
+
+        it('reads the URL parameter', async () => {
+            createQrCode({ ...pageProps, valueSource: 'URL Parameter' });
+            CurrentPageReference.emit(mockCommunityPageRef);
+            await flushPromises();
+
+            expect(global.QRCodeStyling.mock.calls[0][0].data).toBe('EVT-2026-0042');
+        });
+
+        it('reads a custom URL parameter name', async () => {
+            createQrCode({ ...pageProps, valueSource: 'URL Parameter', urlParamName: ' event ' });
+            CurrentPageReference.emit({ ...mockCommunityPageRef, state: { event: 'EVT-7', qrv: 'other' } });
+            await flushPromises();
+
+            expect(global.QRCodeStyling.mock.calls[0][0].data).toBe('EVT-7');
+        });
+
+        it('shows the no value message when the URL parameter is missing', async () => {
+            const element = createQrCode({ ...pageProps, valueSource: 'URL Parameter', noQrValueMessage: 'Scan a ticket' });
+            CurrentPageReference.emit({ ...mockCommunityPageRef, state: {} });
+            await flushPromises();
+
+            expect(global.QRCodeStyling).not.toHaveBeenCalled();
+            expect(element.shadowRoot.textContent).toContain('Scan a ticket');
+        });
+
+        it('uses the provided value', async () => {
+            createQrCode({ ...pageProps, providedValue: 'https://example.com' });
+            await flushPromises();
+
+            expect(global.QRCodeStyling.mock.calls[0][0].data).toBe('https://example.com');
+        });
+
+        it('ignores the URL parameter when using a provided value', async () => {
+            createQrCode({ ...pageProps, providedValue: 'provided' });
+            CurrentPageReference.emit(mockCommunityPageRef);
+            await flushPromises();
+
+            expect(global.QRCodeStyling).toHaveBeenCalledTimes(1);
+            expect(global.QRCodeStyling.mock.calls[0][0].data).toBe('provided');
+        });
+
+        it('shows the default message without a value', async () => {
+            const element = createQrCode(pageProps);
+            await flushPromises();
+
+            expect(global.QRCodeStyling).not.toHaveBeenCalled();
+            expect(element.shadowRoot.textContent).toContain('QR code is not available.');
+        });
+    });
+
+    describe('title', () => {
+        const getTitle = (element) => element.shadowRoot.querySelector('h1')?.textContent.trim();
+
+        it('is hidden by default', async () => {
+            const element = createQrCode({ titleStaticValue: 'Badge' });
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            expect(getTitle(element)).toBeUndefined();
+        });
+
+        it('uses the title field', async () => {
+            const element = createQrCode({ showTitle: true, titleFieldApiName: 'Name', titleStaticValue: 'Badge' });
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            expect(getRecord.getLastConfig().fields).toContain('Contact.Name');
+            expect(getTitle(element)).toBe('Jane Doe');
+        });
+
+        it('falls back to the static title when the field is blank', async () => {
+            const element = createQrCode({ showTitle: true, titleFieldApiName: 'Name', titleStaticValue: 'Badge' });
+            getRecord.emit(withField(mockRecord, 'Name', null));
+            await flushPromises();
+
+            expect(getTitle(element)).toBe('Badge');
+        });
+
+        it('falls back to QR Code', async () => {
+            const element = createQrCode({ showTitle: true });
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            expect(getTitle(element)).toBe('QR Code');
+        });
+    });
+
+    describe('render lifecycle', () => {
+        it('waits for the library before drawing', async () => {
+            let resolveScript;
+            loadScript.mockReturnValueOnce(new Promise((resolve) => {
+                resolveScript = resolve;
+            }));
+            createQrCode();
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            expect(global.QRCodeStyling).not.toHaveBeenCalled();
+
+            resolveScript();
+            await flushPromises();
+
+            expect(global.QRCodeStyling).toHaveBeenCalledTimes(1);
+        });
+
+        it('appends one instance to the container', async () => {
+            const element = createQrCode();
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            const [instance] = getInstances();
+            expect(getInstances()).toHaveLength(1);
+            expect(instance.append).toHaveBeenCalledWith(element.shadowRoot.querySelector('.qrcode'));
+            expect(instance.update).not.toHaveBeenCalled();
+        });
+
+        it('updates the instance when the record changes', async () => {
+            createQrCode({ qrCodeValueFieldApiName: 'Email' });
+            getRecord.emit(withField(mockRecord, 'Email', 'jane@example.com'));
+            await flushPromises();
+
+            getRecord.emit(withField(mockRecord, 'Email', 'jane.doe@example.com'));
+            await flushPromises();
+
+            const [instance] = getInstances();
+            expect(getInstances()).toHaveLength(1);
+            expect(instance.append).toHaveBeenCalledTimes(1);
+            expect(instance.update).toHaveBeenLastCalledWith(expect.objectContaining({ data: 'jane.doe@example.com' }));
+        });
+
+        it('updates the instance when a property changes', async () => {
+            const element = createQrCode({ recordId: undefined, providedValue: 'first' });
+            await flushPromises();
+
+            element.providedValue = 'second';
+            element.qrCodeDotsColor = '#003366';
+            await flushPromises();
+
+            const [instance] = getInstances();
+            expect(getInstances()).toHaveLength(1);
+            expect(instance.update).toHaveBeenLastCalledWith(expect.objectContaining({
+                data: 'second',
+                dotsOptions: expect.objectContaining({ color: '#003366' })
+            }));
+        });
+
+        it('clears the code when the value goes null and draws a new one when it returns', async () => {
+            const element = createQrCode({ recordId: undefined, providedValue: 'first', noQrValueMessage: 'No value' });
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.qrcode canvas')).not.toBeNull();
+
+            element.providedValue = null;
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.qrcode')).toBeNull();
+            expect(element.shadowRoot.textContent).toContain('No value');
+
+            element.providedValue = 'second';
+            await flushPromises();
+
+            // The container is new, so the old instance cannot be updated
+            const instances = getInstances();
+            expect(instances).toHaveLength(2);
+            expect(instances[0].update).not.toHaveBeenCalled();
+            expect(instances[1].append).toHaveBeenCalledWith(element.shadowRoot.querySelector('.qrcode'));
+            expect(element.shadowRoot.querySelectorAll('.qrcode canvas')).toHaveLength(1);
+        });
+
+        it('clears the code when the record field goes null', async () => {
+            const element = createQrCode({ qrCodeValueFieldApiName: 'Email', noQrValueMessage: 'No email' });
+            getRecord.emit(withField(mockRecord, 'Email', 'jane@example.com'));
+            await flushPromises();
+
+            getRecord.emit(withField(mockRecord, 'Email', null));
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.qrcode')).toBeNull();
+            expect(element.shadowRoot.textContent).toContain('No email');
+        });
+
+        it('shows an error when the library fails to load', async () => {
+            const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+            loadScript.mockRejectedValueOnce(new Error('Failed to load qrCodeStyling'));
+            const element = createQrCode({ noQrValueMessage: 'No value' });
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            const error = element.shadowRoot.querySelector('.script-load-error');
+            expect(error.textContent).toContain('could not be loaded');
+            expect(element.shadowRoot.querySelector('.qrcode')).toBeNull();
+            expect(element.shadowRoot.textContent).not.toContain('No value');
+            expect(global.QRCodeStyling).not.toHaveBeenCalled();
+            expect(consoleError).toHaveBeenCalled();
+            consoleError.mockRestore();
+        });
+
+        it('loads the library once', async () => {
+            const element = createQrCode();
+            await flushPromises();
+
+            document.body.removeChild(element);
+            document.body.appendChild(element);
+            await flushPromises();
+
+            expect(loadScript).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('style presets', () => {
+        it('waits for the preset before rendering', async () => {
+            createQrCode({ stylePreset: 'Brand' });
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            expect(global.QRCodeStyling).not.toHaveBeenCalled();
+
+            getStyle.emit({ qrCodeDotsColor: '#123456', backgroundColor: '#fafafa', qrCodeWidth: 200 });
+            await flushPromises();
+
+            expect(global.QRCodeStyling).toHaveBeenCalledTimes(1);
+            const options = global.QRCodeStyling.mock.calls[0][0];
+            expect(options.dotsOptions.color).toBe('#123456');
+            expect(options.backgroundOptions.color).toBe('#fafafa');
+            expect(options.width).toBe(200);
+        });
+
+        it('lets component properties override the preset', async () => {
+            createQrCode({ stylePreset: 'Brand', qrCodeDotsColor: '#ff0000' });
+            getRecord.emit(mockRecord);
+            getStyle.emit({ qrCodeDotsColor: '#123456', qrCodeDotsType: 'Classy' });
+            await flushPromises();
+
+            const options = global.QRCodeStyling.mock.calls[0][0];
+            expect(options.dotsOptions).toEqual({ color: '#ff0000', type: 'classy' });
+        });
+
+        it('renders with defaults when the preset cannot be loaded', async () => {
+            createQrCode({ stylePreset: 'Missing' });
+            getRecord.emit(mockRecord);
+            getStyle.error({ message: 'QR Code Style not found: Missing' });
+            await flushPromises();
+
+            expect(global.QRCodeStyling).toHaveBeenCalledTimes(1);
+            expect(global.QRCodeStyling.mock.calls[0][0].dotsOptions.color).toBe('#000000');
+        });
+    });
+
+    describe('structured payloads', () => {
+        it('builds a vCard from mapped record fields', async () => {
+            createQrCode({
+                payloadType: 'vCard',
+                payloadFieldMapping: 'organization=, note="VIP"'
+            });
+            getRecord.emit({
+                ...mockRecord,
+                fields: {
+                    ...mockRecord.fields,
+                    FirstName: { value: 'Jane', displayValue: null },
+                    LastName: { value: 'Doe', displayValue: null },
+                    Email: { value: 'jane@example.com', displayValue: null }
+                }
+            });
+            await flushPromises();
+
+            expect(global.QRCodeStyling).toHaveBeenCalledTimes(1);
+            const { data } = global.QRCodeStyling.mock.calls[0][0];
+            expect(data.split('\r\n')).toEqual([
+                'BEGIN:VCARD',
+                'VERSION:3.0',
+                'N:Doe;Jane;;;',
+                'FN:Jane Doe',
+                'EMAIL;TYPE=INTERNET:jane@example.com',
+                'NOTE:VIP',
+                'END:VCARD'
+            ]);
+        });
+
+        it('requests mapped fields as optional fields', async () => {
+            createQrCode({ payloadType: 'Phone' });
+            await flushPromises();
+
+            expect(getRecord.getLastConfig().optionalFields).toContain('Contact.Phone');
+        });
+    });
+
+    describe('value templates', () => {
+        const templateRecord = {
+            ...mockRecord,
+            fields: {
+                ...mockRecord.fields,
+                Account: {
+                    value: {
+                        apiName: 'Account',
+                        fields: { Name: { value: 'Acme & Sons', displayValue: null } }
+                    },
+                    displayValue: 'Acme & Sons'
+                },
+                Birthdate: { value: '2026-03-01', displayValue: '3/1/2026' }
+            }
+        };
+
+        it('requests every referenced field', async () => {
+            createQrCode({ valueTemplate: 'https://site.com/checkin?id={!Id}&ref={!Account.Name}' });
+            await flushPromises();
+
+            expect(getRecord.getLastConfig().fields).toEqual(
+                expect.arrayContaining(['Contact.Id', 'Contact.Account.Name'])
+            );
+        });
+
+        it('merges and url-encodes field values', async () => {
+            createQrCode({
+                valueTemplate: 'https://site.com/checkin?id={!Id}&ref={!Account.Name}',
+                encodeTemplateValues: true
+            });
+            getRecord.emit(templateRecord);
+            await flushPromises();
+
+            expect(global.QRCodeStyling.mock.calls[0][0].data)
+                .toBe(`https://site.com/checkin?id=${RECORD_ID}&ref=Acme%20%26%20Sons`);
+        });
+
+        it('uses display values when formatted', async () => {
+            createQrCode({ valueTemplate: 'Born {!Birthdate}', templateValueFormat: 'Formatted' });
+            getRecord.emit(templateRecord);
+            await flushPromises();
+
+            expect(global.QRCodeStyling.mock.calls[0][0].data).toBe('Born 3/1/2026');
+        });
+
+        it('shows the no value message when a field is blank', async () => {
+            const element = createQrCode({
+                valueTemplate: '{!Id}-{!Email}',
+                noQrValueMessage: 'No email'
+            });
+            getRecord.emit(templateRecord);
+            await flushPromises();
+
+            expect(global.QRCodeStyling).not.toHaveBeenCalled();
+            expect(element.shadowRoot.textContent).toContain('No email');
+        });
+    });
+
+    describe('scannability', () => {
+        afterEach(() => {
+            window.history.pushState({}, '', '/');
+        });
+
+        it('shows warnings in the builder and keeps the configured options', async () => {
+            window.history.pushState({}, '', '/flexipageEditor/surface.app');
+            const element = createQrCode({ qrCodeDotsColor: '#eeeeee' });
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            const warnings = element.shadowRoot.querySelector('.scannability-warnings');
+            expect(warnings.textContent).toContain('contrast ratio');
+            expect(global.QRCodeStyling.mock.calls[0][0].dotsOptions.color).toBe('#eeeeee');
+        });
+
+        it('falls back to safe settings on live pages without warnings', async () => {
+            const element = createQrCode({
+                qrCodeDotsColor: '#eeeeee',
+                logoUrl: 'https://example.com/logo.png',
+                logoImageSize: '0.8'
+            });
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            const options = global.QRCodeStyling.mock.calls[0][0];
+            expect(options.dotsOptions.color).toBe('#000000');
+            expect(options.imageOptions.imageSize).toBe(0.5);
+            expect(element.shadowRoot.querySelector('.scannability-warnings')).toBeNull();
+        });
+
+        it('shows the no value message when the value is too long for a QR code', async () => {
+            const element = createQrCode({ qrCodeValueFieldApiName: 'Description', noQrValueMessage: 'Too long' });
+            getRecord.emit({
+                ...mockRecord,
+                fields: { ...mockRecord.fields, Description: { value: 'a'.repeat(3000), displayValue: null } }
+            });
+            await flushPromises();
+
+            expect(global.QRCodeStyling).not.toHaveBeenCalled();
+            expect(element.shadowRoot.textContent).toContain('Too long');
+        });
+    });
+
+    describe('signed payloads', () => {
+        const signedToken = (token) => ({ token, issuedAt: 1790000000000, expiresAt: 1790000300000 });
+
+        afterEach(() => {
+            window.history.pushState({}, '', '/');
+        });
+
+        it('renders the signed token instead of the value', async () => {
+            signValue.mockResolvedValue(signedToken('header.claims.signature'));
+            createQrCode({ signPayload: true, signingKey: 'Events', tokenLifetime: 300 });
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            expect(signValue).toHaveBeenCalledWith({
+                recordId: RECORD_ID,
+                fieldApiName: 'Id',
+                keyName: 'Events',
+                lifetimeSeconds: 300
+            });
+            expect(global.QRCodeStyling).toHaveBeenCalledTimes(1);
+            expect(global.QRCodeStyling.mock.calls[0][0].data).toBe('header.claims.signature');
+        });
+
+        it('refreshes the token before it expires', async () => {
+            const setTimeoutSpy = jest.spyOn(window, 'setTimeout');
+            signValue
+                .mockResolvedValueOnce(signedToken('token-1'))
+                .mockResolvedValueOnce(signedToken('token-2'));
+            createQrCode({ signPayload: true, tokenRefreshInterval: 60 });
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            const refresh = setTimeoutSpy.mock.calls.find(([, delay]) => delay === 60000);
+            expect(refresh).toBeDefined();
+
+            refresh[0]();
+            await flushPromises();
+
+            expect(signValue).toHaveBeenCalledTimes(2);
+            const instance = global.QRCodeStyling.mock.results[0].value;
+            expect(instance.update).toHaveBeenLastCalledWith(expect.objectContaining({ data: 'token-2' }));
+            setTimeoutSpy.mockRestore();
+        });
+
+        it('refreshes after most of the lifetime when no interval is set', async () => {
+            const setTimeoutSpy = jest.spyOn(window, 'setTimeout');
+            signValue.mockResolvedValue(signedToken('token-1'));
+            createQrCode({ signPayload: true, tokenRefreshInterval: 600 });
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            // Capped at 80% of the 300 second lifetime
+            expect(setTimeoutSpy.mock.calls.some(([, delay]) => delay === 240000)).toBe(true);
+            setTimeoutSpy.mockRestore();
+        });
+
+        it('signs the running user id on the server', async () => {
+            signValue.mockResolvedValue(signedToken('user-token'));
+            createQrCode({
+                recordId: undefined,
+                objectApiName: undefined,
+                qrCodeValueFieldApiName: undefined,
+                valueSource: 'Current User',
+                signPayload: true
+            });
+            await flushPromises();
+
+            expect(signValue).toHaveBeenCalledWith(expect.objectContaining({ recordId: USER_ID }));
+            expect(signValue.mock.calls[0][0].fieldApiName).toBeUndefined();
+            expect(global.QRCodeStyling.mock.calls[0][0].data).toBe('user-token');
+        });
+
+        it('signs a record id from the URL parameter on the server', async () => {
+            signValue.mockResolvedValue(signedToken('registration-token'));
+            createQrCode({
+                recordId: undefined,
+                objectApiName: undefined,
+                qrCodeValueFieldApiName: undefined,
+                valueSource: 'URL Parameter',
+                signPayload: true
+            });
+            CurrentPageReference.emit({ ...mockCommunityPageRef, state: { qrv: RECORD_ID } });
+            await flushPromises();
+
+            expect(signValue).toHaveBeenCalledWith(expect.objectContaining({ recordId: RECORD_ID }));
+            expect(global.QRCodeStyling.mock.calls[0][0].data).toBe('registration-token');
+        });
+
+        it('does not sign values the server cannot read', async () => {
+            window.history.pushState({}, '', '/flexipageEditor/surface.app');
+            const element = createQrCode({
+                recordId: undefined,
+                objectApiName: undefined,
+                qrCodeValueFieldApiName: undefined,
+                providedValue: 'https://example.com',
+                signPayload: true
+            });
+            await flushPromises();
+
+            expect(signValue).not.toHaveBeenCalled();
+            expect(global.QRCodeStyling).not.toHaveBeenCalled();
+            expect(element.shadowRoot.querySelector('.signing-error').textContent).toContain('can be signed');
+        });
+
+        it('shows signing errors in the builder without retrying', async () => {
+            window.history.pushState({}, '', '/flexipageEditor/surface.app');
+            signValue.mockRejectedValue({ body: { message: 'QR Code Signing Key not found or inactive: Default' } });
+            const element = createQrCode({ signPayload: true, noQrValueMessage: 'Unavailable' });
+            getRecord.emit(mockRecord);
+            await flushPromises();
+            await flushPromises();
+
+            expect(signValue).toHaveBeenCalledTimes(1);
+            expect(global.QRCodeStyling).not.toHaveBeenCalled();
+            expect(element.shadowRoot.querySelector('.signing-error').textContent).toContain('not found');
+            expect(element.shadowRoot.textContent).toContain('Unavailable');
+        });
+    });
+
+    describe('download', () => {
+        it('requests file name fields as optional fields', async () => {
+            createQrCode({ downloadFileName: 'QR Code - {!Name}' });
+            await flushPromises();
+
+            const config = getRecord.getLastConfig();
+            expect(config.fields).not.toContain('Contact.Name');
+            expect(config.optionalFields).toContain('Contact.Name');
+        });
+
+        it('does not show the toolbar by default', async () => {
+            const element = createQrCode();
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.download-button')).toBeNull();
+        });
+
+        it('downloads the code with the resolved file name and selected format', async () => {
+            const element = createQrCode({
+                showDownloadToolbar: true,
+                downloadFileName: 'Badge - {!Name}',
+                downloadFormat: 'SVG'
+            });
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            const instance = global.QRCodeStyling.mock.results[0].value;
+            element.shadowRoot.querySelector('.download-button').click();
+            expect(instance.download).toHaveBeenLastCalledWith({ name: 'Badge - Jane Doe', extension: 'svg' });
+
+            element.shadowRoot.querySelector('.download-format')
+                .dispatchEvent(new CustomEvent('change', { detail: { value: 'JPEG' } }));
+            await flushPromises();
+            element.shadowRoot.querySelector('.download-button').click();
+            expect(instance.download).toHaveBeenLastCalledWith({ name: 'Badge - Jane Doe', extension: 'jpeg' });
+        });
+
+        it('returns the image as a blob or a data url', async () => {
+            const element = createQrCode();
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            const blob = await element.getImage('jpeg');
+            const instance = global.QRCodeStyling.mock.results[0].value;
+
+            expect(instance.getRawData).toHaveBeenCalledWith('jpeg');
+            expect(blob).toBeInstanceOf(Blob);
+            await expect(element.getImage('PNG', 'dataUrl')).resolves.toBe('data:image/png;base64,aW1n');
+        });
+
+        it('draws a separate instance at the download size', async () => {
+            const element = createQrCode({ qrCodeWidth: 300, qrCodeHeight: 150, downloadSize: 1200 });
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            await element.getImage();
+
+            expect(global.QRCodeStyling).toHaveBeenCalledTimes(2);
+            const { width, height, data } = global.QRCodeStyling.mock.calls[1][0];
+            expect({ width, height, data }).toEqual({ width: 1200, height: 600, data: RECORD_ID });
+        });
+
+        it('rejects when there is no code', async () => {
+            const element = createQrCode({ qrCodeValueFieldApiName: 'Email' });
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            await expect(element.getImage()).rejects.toThrow('QR code is not available.');
+        });
     });
 
-    it('TODO: test case generated by CLI command, please fill in test logic', () => {
-        // Arrange
-        const element = createElement('c-qr-code', {
-            is: QrCode
+    describe('save to files', () => {
+        it('does not show the save action when disabled', async () => {
+            const element = createQrCode();
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('.save-button')).toBeNull();
+        });
+
+        it('saves the image to the record and shows a success toast', async () => {
+            saveQrCode.mockResolvedValue('069000000000001AAA');
+            const element = createQrCode({
+                showSaveToFiles: true,
+                fileTitle: 'Badge - {!Name}',
+                replaceExistingFile: true
+            });
+            const toastHandler = jest.fn();
+            element.addEventListener('lightning__showtoast', toastHandler);
+
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            element.shadowRoot.querySelector('.save-button').click();
+            await flushPromises();
+            await flushPromises();
+
+            expect(saveQrCode).toHaveBeenCalledWith({
+                recordId: RECORD_ID,
+                title: 'Badge - Jane Doe',
+                base64Data: 'aW1n',
+                extension: 'png',
+                replaceExisting: true
+            });
+            expect(toastHandler).toHaveBeenCalledTimes(1);
+            expect(toastHandler.mock.calls[0][0].detail.variant).toBe('success');
+        });
+
+        it('shows an error toast when the controller fails', async () => {
+            saveQrCode.mockRejectedValue({ body: { message: 'Insufficient access' } });
+            const element = createQrCode({ showSaveToFiles: true });
+            const toastHandler = jest.fn();
+            element.addEventListener('lightning__showtoast', toastHandler);
+
+            getRecord.emit(mockRecord);
+            await flushPromises();
+
+            element.shadowRoot.querySelector('.save-button').click();
+            await flushPromises();
+            await flushPromises();
+
+            expect(toastHandler).toHaveBeenCalledTimes(1);
+            const { detail } = toastHandler.mock.calls[0][0];
+            expect(detail.variant).toBe('error');
+            expect(detail.message).toBe('Insufficient access');
         });
+    });
+
+    describe('targets', () => {
+        const pageProps = { recordId: undefined, objectApiName: undefined, qrCodeValueFieldApiName: undefined };
 
-        // Act
-        document.body.appendChild(element);
+        it('uses the flow value and publishes the image to the flow', async () => {
+            const element = createQrCode({ ...pageProps, qrCodeValue: 'TICKET-42', availableActions: ['NEXT'] });
+            const flowHandler = jest.fn();
+            element.addEventListener('lightning__flowattributechange', flowHandler);
+            await flushPromises();
+            await flushPromises();
 
-        // Assert
-        // const div = element.shadowRoot.querySelector('div');
-        expect(1).toBe(1);
+            expect(global.QRCodeStyling.mock.calls[0][0].data).toBe('TICKET-42');
+            expect(element.qrCodeContent).toBe('TICKET-42');
+            expect(element.imageDataUrl).toBe('data:image/png;base64,aW1n');
+            expect(flowHandler).toHaveBeenCalled();
+            expect(saveQrCode).not.toHaveBeenCalled();
+        });
+
+        it('saves the flow image to the record once', async () => {
+            saveQrCode.mockResolvedValue('069000000000001AAA');
+            const element = createQrCode({
+                ...pageProps,
+                recordId: RECORD_ID,
+                qrCodeValue: 'TICKET-42',
+                saveToRecord: true,
+                fileTitle: 'Ticket',
+                availableActions: []
+            });
+            await flushPromises();
+            await flushPromises();
+            await flushPromises();
+
+            expect(saveQrCode).toHaveBeenCalledTimes(1);
+            expect(saveQrCode).toHaveBeenCalledWith(expect.objectContaining({ recordId: RECORD_ID, title: 'Ticket' }));
+            expect(element.savedFileId).toBe('069000000000001AAA');
+        });
+
+        it('uses the record id in a screen action', async () => {
+            const element = createQrCode({ ...pageProps, recordId: RECORD_ID, objectApiName: 'Contact' });
+            const closeHandler = jest.fn();
+            element.addEventListener('close', closeHandler);
+            CurrentPageReference.emit(mockQuickActionPageRef);
+            await flushPromises();
+
+            expect(global.QRCodeStyling.mock.calls[0][0].data).toBe(RECORD_ID);
+            expect(element.shadowRoot.querySelector('h1').textContent.trim()).toBe('QR Code');
+            expect(element.shadowRoot.querySelector('.save-button')).not.toBeNull();
+
+            element.shadowRoot.querySelector('.close-button').click();
+            expect(closeHandler).toHaveBeenCalledTimes(1);
+        });
+
+        it('reads namespaced URL parameters on app pages', async () => {
+            createQrCode({ ...pageProps, valueSource: 'URL Parameter', urlParamName: 'qrv' });
+            CurrentPageReference.emit(mockAppPageRef);
+            await flushPromises();
+
+            expect(global.QRCodeStyling.mock.calls[0][0].data).toBe('EVT-2026-0042');
+        });
+
+        it('uses the running user on home pages', async () => {
+            createQrCode({ ...pageProps, valueSource: 'Current User' });
+            CurrentPageReference.emit(mockHomePageRef);
+            await flushPromises();
+
+            expect(global.QRCodeStyling.mock.calls[0][0].data).toBe(USER_ID);
+        });
     });
-});
\ No newline at end of file
+});
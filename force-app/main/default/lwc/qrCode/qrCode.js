@@ -9,18 +9,88 @@
  *
  * Value modes:
  *  1) Record field mode (Lightning Record Pages): qrCodeValueFieldApiName is set
- *  2) Experience Cloud mode:
+ *     - payloadType = "Field Value" -> uses the value of qrCodeValueFieldApiName,
+ *       or valueTemplate merged with {!Field} / {!Relationship.Field} tokens when set
+ *     - any other payloadType -> builds a structured payload (vCard, Wi-Fi, ...) from payloadFieldMapping
+ *  2) Screen Flow mode: uses the qrCodeValue input
+ *     - outputs the image as a data URL and can save it to the Files of recordId
+ *  3) Record action mode (screen quick action): uses the record id
+ *  4) Experience Cloud, App and Home page mode:
  *     - valueSource = "URL Parameter" -> reads from CurrentPageReference.state[urlParamName]
+ *       (or the c__ prefixed parameter in Lightning Experience)
+ *     - valueSource = "Current User" -> uses the running user's id
  *     - valueSource = "Provided Value" -> uses providedValue
  *
+ * Signed payload (signPayload):
+ *  - The resolved value is signed by QrCodeSigningService as an expiring
+ *    token (HMAC-SHA256, issue/expiry time and nonce) and the token is rendered
+ *  - The server reads the value with the running user's access, so only a record
+ *    field, a record id (including a URL parameter or provided value holding one)
+ *    or the current user's id can be signed
+ *  - A new token is requested before the current one expires
+ *  - Scanned tokens are checked with c/qrCodeVerify
+ *
+ * Styling:
+ *  - stylePreset loads a QR Code Style custom metadata record; styling
+ *    properties set on the component override the preset
+ *  - Supports gradients, separate corner colors, circle shape, margin,
+ *    QR version, encoding mode and error correction level
+ *
+ * Scannability:
+ *  - Contrast, logo coverage and data capacity are checked before drawing
+ *  - Builders and previews show warnings; live pages fall back to safe settings
+ *
+ * Export:
+ *  - Optional download toolbar (showDownloadToolbar) with a format picker
+ *  - getImage(format, outputType) returns a Blob or data URL for parent components
+ *  - Optional "Save to Files" action (showSaveToFiles) stores the image on the record
+ *
  * @date 2026
  * @author SerkinSolutions
  ***********************************************************************/
 import { LightningElement, api, wire, track } from 'lwc';
-import { getRecord, getFieldValue } from 'lightning/uiRecordApi';
+import { getRecord, getFieldValue, getFieldDisplayValue } from 'lightning/uiRecordApi';
 import { CurrentPageReference } from 'lightning/navigation';
 import { loadScript } from 'lightning/platformResourceLoader';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { FlowAttributeChangeEvent } from 'lightning/flowSupport';
+import { CloseActionScreenEvent } from 'lightning/actions';
+import USER_ID from '@salesforce/user/Id';
 import QrCodeStylingLib from '@salesforce/resourceUrl/qrCodeStyling';
+import saveQrCode from '@salesforce/apex/QrCodeFileController.saveQrCode';
+import validateTemplate from '@salesforce/apex/QrCodeTemplateValidator.validateTemplate';
+import getStyle from '@salesforce/apex/QrCodeStyleService.getStyle';
+import signValue from '@salesforce/apex/QrCodeSigningService.signValue';
+import { PAYLOAD_TYPES, parseFieldMapping, getMappedFieldNames, buildPayload } from 'c/qrCodePayloads';
+import { getTemplateFieldNames, mergeTemplate, formatValue } from 'c/qrCodeTemplate';
+import { buildQrCodeOptions } from 'c/qrCodeOptions';
+import { checkScannability } from 'c/qrCodeScannability';
+import { IMAGE_FORMATS, getImageFormat, sanitizeFileName, blobToDataUrl } from 'c/qrCodeExport';
+import { reduceError, getStateValue } from 'c/qrCodeUtils';
+
+const DEFAULT_FILE_NAME = 'qr-code';
+const SCRIPT_LOAD_ERROR = 'The QR code could not be loaded. Refresh the page to try again.';
+const VALUE_MODES = {
+    RECORD_FIELD: 'Record Field',
+    FLOW: 'Flow',
+    RECORD_ACTION: 'Record Action',
+    URL_PARAMETER: 'URL Parameter',
+    CURRENT_USER: 'Current User',
+    PROVIDED_VALUE: 'Provided Value'
+};
+const FLOW_OUTPUTS = ['imageDataUrl', 'qrCodeContent', 'savedFileId'];
+// Signed tokens are refreshed once this share of their lifetime has passed
+const TOKEN_REFRESH_RATIO = 0.8;
+const MIN_TOKEN_REFRESH_MS = 5000;
+const UNSIGNABLE_VALUE_ERROR = 'Only a record field, a record id or the current user id can be signed.';
+const RECORD_ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+// Lightning App Builder and Experience Builder render components inside their editors
+const isDesignMode = () => {
+    const { hostname = '', pathname = '' } = window.location || {};
+    return pathname.includes('/flexipageEditor/')
+        || hostname.includes('sitepreview')
+        || hostname.includes('livepreview');
+};
 
 export default class QrCode extends LightningElement {
     @api recordId;
@@ -28,42 +98,100 @@ export default class QrCode extends LightningElement {
 
     // Record page mode
     @api qrCodeValueFieldApiName;
-
-    // Experience Cloud value mode
-    @api valueSource = 'Provided Value'; // "Provided Value" | "URL Parameter"
+    @api payloadType = PAYLOAD_TYPES.FIELD_VALUE;
+    @api payloadFieldMapping;
+    @api valueTemplate;
+    @api encodeTemplateValues;
+    @api templateValueFormat = 'Raw'; // "Raw" | "Formatted"
+
+    // Experience Cloud, App and Home page value mode
+    @api valueSource = 'Provided Value'; // "Provided Value" | "URL Parameter" | "Current User"
     @api providedValue;
     @api urlParamName = 'qrv';
 
+    // Screen Flow
+    @api qrCodeValue;
+    @api saveToRecord;
+    @api availableActions; // Set by the flow runtime only
+
     // Title
     @api showTitle;
     @api titleFieldApiName;
     @api titleStaticValue;
 
+    // Signed payload
+    @api signPayload;
+    @api signingKey;
+    @api tokenLifetime; // seconds
+    @api tokenRefreshInterval; // seconds
+
     // QR styling
+    @api stylePreset;
     @api qrCodeHeight;
     @api qrCodeWidth;
+    @api qrCodeMargin;
+    @api qrCodeShape; // "Square" | "Circle"
     @api qrCodeDotsColor;
-    @api qrCodeDotsType = 'Rounded';
+    @api qrCodeDotsType;
+    @api dotsGradientType; // "None" | "Linear" | "Radial"
+    @api dotsGradientColors; // "#ff0000, #0000ff" or "#ff0000 0, #0000ff 100%"
+    @api dotsGradientRotation;
     @api backgroundColor;
+    @api backgroundGradientType;
+    @api backgroundGradientColors;
+    @api backgroundGradientRotation;
     @api cornersSquareStyle;
+    @api cornersSquareColor;
     @api cornersDotStyle;
+    @api cornersDotColor;
+
+    // Encoding
+    @api errorCorrectionLevel; // "L" | "M" | "Q" | "H"
+    @api qrVersion; // 1-40, 0 = smallest that fits
+    @api qrMode; // "Auto" | "Byte" | "Numeric" | "Alphanumeric"
 
     // Logo
     @api logoUrl;
     @api logoImageSize;
     @api logoImageMargin;
+    @api logoShowBackgroundDots;
 
     @api noQrValueMessage;
 
+    // Download / export
+    @api showDownloadToolbar;
+    @api downloadFileName;
+    @api downloadFormat = 'PNG';
+    @api downloadSize;
+
+    // Save to Files
+    @api showSaveToFiles;
+    @api fileTitle;
+    @api replaceExistingFile;
+
     @track record;
     error;
 
     urlParamValue;
+    isRecordAction = false;
 
     qrCodeInstance;
     qrCodeLibLoaded = false;
     domReady = false;
     scriptLoadStarted = false;
+    scriptLoadError;
+
+    selectedDownloadFormat;
+    templateErrors = [];
+    presetStyle;
+    isSaving = false;
+    scannabilityIssues = [];
+    valueTooLong = false;
+    signedToken; // { value, token, error }
+    pendingSignatureValue;
+    tokenRefreshTimeout;
+    flowOutput; // { data, imageDataUrl }
+    savedFile; // { value, contentDocumentId }
 
     /******************************
      * Mode helpers
@@ -73,6 +201,37 @@ export default class QrCode extends LightningElement {
         return !!(this.recordId && this.objectApiName && this.qrCodeValueFieldApiName);
     }
 
+    get isFlowScreen() {
+        return Array.isArray(this.availableActions);
+    }
+
+    get valueMode() {
+        if (this.usesRecordField) return VALUE_MODES.RECORD_FIELD;
+        if (this.isFlowScreen) return VALUE_MODES.FLOW;
+        if (this.isRecordAction) return VALUE_MODES.RECORD_ACTION;
+        if (this.valueSource === 'URL Parameter') return VALUE_MODES.URL_PARAMETER;
+        if (this.valueSource === 'Current User') return VALUE_MODES.CURRENT_USER;
+        return VALUE_MODES.PROVIDED_VALUE;
+    }
+
+    get usesStructuredPayload() {
+        return this.usesRecordField
+            && !!this.payloadType
+            && this.payloadType !== PAYLOAD_TYPES.FIELD_VALUE;
+    }
+
+    get usesValueTemplate() {
+        return this.usesRecordField
+            && !this.usesStructuredPayload
+            && !!(this.valueTemplate || '').trim();
+    }
+
+    get payloadMapping() {
+        return this.usesStructuredPayload
+            ? parseFieldMapping(this.payloadType, this.payloadFieldMapping)
+            : {};
+    }
+
     get effectiveUrlParamName() {
         return (this.urlParamName || 'qrv').trim();
     }
@@ -86,11 +245,24 @@ export default class QrCode extends LightningElement {
 
         return [
             this.getQualifiedFieldName(this.titleFieldApiName),
-            this.getQualifiedFieldName(this.qrCodeValueFieldApiName)
+            this.getQualifiedFieldName(this.qrCodeValueFieldApiName),
+            ...getTemplateFieldNames(this.usesValueTemplate ? this.valueTemplate : null)
+                .map((f) => this.getQualifiedFieldName(f))
         ].filter(Boolean);
     }
 
-    @wire(getRecord, { recordId: '$recordId', fields: '$fields' })
+    // Fields that may not exist on every object, such as default payload mappings
+    get optionalFields() {
+        if (!this.usesRecordField) return [];
+
+        return [
+            ...getMappedFieldNames(this.payloadMapping),
+            ...getTemplateFieldNames(this.downloadFileName),
+            ...getTemplateFieldNames(this.fileTitle)
+        ].map((f) => this.getQualifiedFieldName(f)).filter(Boolean);
+    }
+
+    @wire(getRecord, { recordId: '$recordId', fields: '$fields', optionalFields: '$optionalFields' })
     wiredRecord({ data, error }) {
         if (data) {
             this.record = data;
@@ -104,27 +276,84 @@ export default class QrCode extends LightningElement {
         }
     }
 
+    // Only validated while configuring the component in a builder
+    get templateValidationObject() {
+        return this.usesValueTemplate && isDesignMode() ? this.objectApiName : undefined;
+    }
+
+    @wire(validateTemplate, { objectApiName: '$templateValidationObject', template: '$valueTemplate' })
+    wiredTemplateValidation({ data, error }) {
+        if (data) {
+            this.templateErrors = data;
+        } else if (error) {
+            this.templateErrors = [reduceError(error)];
+        }
+    }
+
+    get stylePresetName() {
+        const name = (this.stylePreset || '').trim();
+        return name || undefined;
+    }
+
+    @wire(getStyle, { developerName: '$stylePresetName' })
+    wiredStyle({ data, error }) {
+        if (data) {
+            this.presetStyle = data;
+            this.tryRenderOrUpdateQr();
+        } else if (error) {
+            // Fall back to the component properties and defaults
+            this.presetStyle = {};
+            // eslint-disable-next-line no-console
+            console.error('Error loading qr code style preset:', error);
+            this.tryRenderOrUpdateQr();
+        }
+    }
+
     @wire(CurrentPageReference)
     wiredPageRef(pageRef) {
-        if (this.usesRecordField) return;
+        // Screen quick actions are opened with a quick action page reference
+        this.isRecordAction = pageRef?.type === 'standard__quickAction';
 
-        if (this.valueSource !== 'URL Parameter') {
+        if (this.valueMode !== VALUE_MODES.URL_PARAMETER) {
             this.urlParamValue = null;
+            this.tryRenderOrUpdateQr();
             return;
         }
 
-        const key = this.effectiveUrlParamName;
-        const raw = key ? pageRef?.state?.[key] : null;
-        this.urlParamValue = raw || null;
+        this.urlParamValue = getStateValue(pageRef?.state, this.effectiveUrlParamName);
         this.tryRenderOrUpdateQr();
     }
 
+    /******************************
+     * Flow outputs
+     ******************************/
+
+    @api
+    get imageDataUrl() {
+        return this.flowOutput?.imageDataUrl || null;
+    }
+
+    @api
+    get qrCodeContent() {
+        return this.flowOutput?.data || null;
+    }
+
+    @api
+    get savedFileId() {
+        return this.savedFile?.contentDocumentId || null;
+    }
+
     /******************************
      * Computed values
      ******************************/
 
+    // Screen actions cannot be configured, so they always show the title and toolbar
+    get shouldShowTitle() {
+        return !!(this.showTitle || this.isRecordAction);
+    }
+
     get title() {
-        if (!this.showTitle) return null;
+        if (!this.shouldShowTitle) return null;
 
         // Prefer record field title if configured and available
         if (this.record && this.titleFieldApiName) {
@@ -137,32 +366,84 @@ export default class QrCode extends LightningElement {
     }
 
     get qrValueResolved() {
-        // Record-field mode (Lightning Record Pages)
-        if (this.usesRecordField) {
-            if (!this.record) return null;
-            const qualified = this.getQualifiedFieldName(this.qrCodeValueFieldApiName);
-            return qualified ? getFieldValue(this.record, qualified) : null;
+        switch (this.valueMode) {
+            case VALUE_MODES.RECORD_FIELD:
+                return this.getRecordFieldValue();
+            case VALUE_MODES.FLOW:
+                return this.qrCodeValue || null;
+            case VALUE_MODES.RECORD_ACTION:
+                return this.recordId || null;
+            case VALUE_MODES.URL_PARAMETER:
+                return this.urlParamValue || null;
+            case VALUE_MODES.CURRENT_USER:
+                return USER_ID || null;
+            default:
+                return this.providedValue || null;
         }
+    }
 
-        // Experience Cloud mode
-        if (this.valueSource === 'URL Parameter') {
-            return this.urlParamValue || null;
-        }
+    // The value drawn in the QR code: the signed token in signed payload mode
+    get qrCodeData() {
+        const value = this.qrValueResolved;
+        if (!value || !this.signPayload) return value;
+        return this.signedToken?.value === value ? this.signedToken.token : null;
+    }
+
+    get signingError() {
+        return this.signPayload ? this.signedToken?.error : undefined;
+    }
+
+    get showSigningError() {
+        return !!this.signingError && isDesignMode();
+    }
 
-        // Default: Provided Value
-        return this.providedValue || null;
+    get hasTemplateErrors() {
+        return this.templateErrors.length > 0;
     }
 
     get hasQrValue() {
-        return !!this.qrValueResolved;
+        return !!this.qrValueResolved && !this.valueTooLong && !this.signingError;
+    }
+
+    get showScannabilityWarnings() {
+        return this.scannabilityIssues.length > 0 && isDesignMode();
     }
 
     get noValueMessage() {
         return this.noQrValueMessage || 'QR code is not available.';
     }
 
+    get showToolbar() {
+        return !!((this.showDownloadButton || this.canSaveToFiles) && this.hasQrValue);
+    }
+
+    get showDownloadButton() {
+        return !!(this.showDownloadToolbar || this.isRecordAction);
+    }
+
+    get canSaveToFiles() {
+        return !!((this.showSaveToFiles || this.isRecordAction) && this.recordId);
+    }
+
+    get downloadFormatOptions() {
+        return IMAGE_FORMATS.map(({ label }) => ({ label, value: label }));
+    }
+
+    get downloadFormatValue() {
+        return this.selectedDownloadFormat || getImageFormat(this.downloadFormat).label;
+    }
+
+    get resolvedDownloadFileName() {
+        return this.resolveFileNameTemplate(this.downloadFileName) || DEFAULT_FILE_NAME;
+    }
+
+    get resolvedFileTitle() {
+        return this.resolveFileNameTemplate(this.fileTitle) || this.resolvedDownloadFileName;
+    }
+
     get isReadyToRender() {
         if (!this.domReady || !this.qrCodeLibLoaded) return false;
+        if (this.stylePresetName && !this.presetStyle) return false;
         if (this.usesRecordField) return !!this.record;
         return true;
     }
@@ -181,11 +462,18 @@ export default class QrCode extends LightningElement {
                 this.tryRenderOrUpdateQr();
             })
             .catch((error) => {
+                this.scriptLoadError = SCRIPT_LOAD_ERROR;
                 // eslint-disable-next-line no-console
                 console.error('Error loading qr-code-styling:', error);
             });
     }
 
+    disconnectedCallback() {
+        // Request a fresh token when reconnected
+        clearTimeout(this.tokenRefreshTimeout);
+        this.signedToken = undefined;
+    }
+
     renderedCallback() {
         if (!this.domReady) {
             this.domReady = true;
@@ -193,6 +481,68 @@ export default class QrCode extends LightningElement {
         this.tryRenderOrUpdateQr();
     }
 
+    /******************************
+     * Public API
+     ******************************/
+
+    /**
+     * Get the current QR code as an image
+     * @param {String} format - png, jpeg, svg or webp (default png)
+     * @param {String} outputType - 'blob' (default) or 'dataUrl'
+     * @returns {Promise<Blob|String>}
+     */
+    @api
+    async getImage(format, outputType = 'blob') {
+        const { extension } = getImageFormat(format || 'PNG');
+        const instance = this.getExportInstance();
+        if (!instance) {
+            throw new Error('QR code is not available.');
+        }
+
+        const blob = await instance.getRawData(extension);
+        return outputType === 'dataUrl' ? blobToDataUrl(blob) : blob;
+    }
+
+    /******************************
+     * Event handlers
+     ******************************/
+
+    handleDownloadFormatChange(event) {
+        this.selectedDownloadFormat = event.detail.value;
+    }
+
+    handleDownload() {
+        const instance = this.getExportInstance();
+        if (!instance) return;
+
+        const { extension } = getImageFormat(this.downloadFormatValue);
+        instance.download({ name: this.resolvedDownloadFileName, extension })
+            .catch((error) => {
+                // eslint-disable-next-line no-console
+                console.error('Error downloading qr code:', error);
+            });
+    }
+
+    async handleSaveToFiles() {
+        if (!this.canSaveToFiles || this.isSaving) return;
+
+        this.isSaving = true;
+        try {
+            const { extension } = getImageFormat(this.downloadFormatValue);
+            await this.saveImage(await this.getImage(extension, 'dataUrl'), extension);
+
+            this.showToast('Success', 'QR code saved to Files.', 'success');
+        } catch (error) {
+            this.showToast('Error saving QR code', reduceError(error), 'error');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    handleCloseAction() {
+        this.dispatchEvent(new CloseActionScreenEvent());
+    }
+
     /******************************
      * Draw QR
      ******************************/
@@ -200,21 +550,25 @@ export default class QrCode extends LightningElement {
     tryRenderOrUpdateQr() {
         if (!this.isReadyToRender) return;
 
-        const qrDiv = this.template.querySelector('.qrcode');
-        if (!qrDiv) return;
+        if (this.signPayload) {
+            this.ensureSignedToken(this.qrValueResolved);
+        }
 
-        const value = this.qrValueResolved;
+        // Validate before looking for the container, which is removed while the value is too long
+        const value = this.qrCodeData;
+        const options = value ? this.buildOptions(value) : null;
 
-        // If there's no value, clear any previously-rendered QR
-        if (!value) {
-            if (this.qrCodeInstance) {
-                qrDiv.innerHTML = '';
-                this.qrCodeInstance = null;
-            }
+        const qrDiv = this.template.querySelector('.qrcode');
+
+        // If there's no value, clear any previously-rendered QR. The container is
+        // usually gone already, so the next value is drawn by a new instance.
+        if (!options) {
+            if (qrDiv) qrDiv.innerHTML = '';
+            this.qrCodeInstance = null;
+            this.updateFlowOutputs(null);
             return;
         }
-
-        const options = this.buildOptions(value);
+        if (!qrDiv) return;
 
         if (!this.qrCodeInstance) {
             qrDiv.innerHTML = '';
@@ -223,56 +577,253 @@ export default class QrCode extends LightningElement {
         } else {
             this.qrCodeInstance.update(options);
         }
+        this.updateFlowOutputs(value);
     }
 
+    /**
+     * Options are checked for scannability first. In a builder the configured
+     * options are kept so the warnings match what is drawn.
+     * @returns {Object|null} null if the value does not fit in a QR code
+     */
     buildOptions(data) {
-        const dotsType = (this.qrCodeDotsType || 'Rounded').toLowerCase();
-
-        const options = {
-            width: this.qrCodeWidth,
-            height: this.qrCodeHeight,
-            data,
-            dotsOptions: {
-                color: this.qrCodeDotsColor,
-                type: dotsType
-            },
-            backgroundOptions: {
-                color: this.backgroundColor
-            },
-            cornersSquareOptions: {
-                type: this.cornersSquareStyle === 'None'
-                    ? undefined
-                    : (this.cornersSquareStyle || undefined)?.toLowerCase?.(),
-                color: this.qrCodeDotsColor
-            },
-            cornersDotOptions: {
-                type: this.cornersDotStyle === 'None'
-                    ? undefined
-                    : (this.cornersDotStyle || undefined)?.toLowerCase?.(),
-                color: this.qrCodeDotsColor
-            },
-            qrOptions: {
-                errorCorrectionLevel: 'H'
+        const preset = this.stylePresetName ? this.presetStyle : undefined;
+        const { options, issues, canRender } = checkScannability(
+            buildQrCodeOptions(this, data, preset),
+            { fallback: !isDesignMode() }
+        );
+        this.setScannabilityIssues(issues, !canRender);
+        return canRender ? options : null;
+    }
+
+    // Only assigned when changed, since this runs from renderedCallback
+    setScannabilityIssues(issues, valueTooLong) {
+        const key = (list) => list.map((issue) => issue.message).join('\n');
+        if (key(issues) !== key(this.scannabilityIssues)) {
+            this.scannabilityIssues = issues;
+        }
+        if (valueTooLong !== this.valueTooLong) {
+            this.valueTooLong = valueTooLong;
+        }
+    }
+
+    /**
+     * The on-screen instance is reused unless an export size is configured,
+     * in which case a separate instance is drawn at that size
+     */
+    getExportInstance() {
+        if (!this.qrCodeInstance) return null;
+
+        const exportSize = parseInt(this.downloadSize, 10);
+        if (!exportSize || exportSize <= 0) return this.qrCodeInstance;
+
+        const value = this.qrCodeData;
+        if (!value) return null;
+
+        const options = this.buildOptions(value);
+        if (!options) return null;
+
+        const width = parseInt(options.width, 10) || exportSize;
+        const height = parseInt(options.height, 10) || exportSize;
+        const scale = exportSize / Math.max(width, height);
+
+        options.width = Math.round(width * scale);
+        options.height = Math.round(height * scale);
+        return new QRCodeStyling(options);
+    }
+
+    /******************************
+     * Screen Flow
+     ******************************/
+
+    /**
+     * Publish the drawn image to the flow and save it to the record once per value
+     * @param {String} data - The data drawn in the QR code, or null when cleared
+     */
+    async updateFlowOutputs(data) {
+        if (!this.isFlowScreen || (this.flowOutput?.data || null) === data) return;
+
+        this.flowOutput = data ? { data } : undefined;
+        if (!data) {
+            this.notifyFlow();
+            return;
+        }
+
+        const value = this.qrValueResolved;
+        const { extension } = getImageFormat(this.downloadFormat);
+        try {
+            const imageDataUrl = await this.getImage(extension, 'dataUrl');
+            // Ignore images for data that changed while drawing
+            if (this.flowOutput?.data !== data) return;
+
+            this.flowOutput = { data, imageDataUrl };
+            this.notifyFlow();
+
+            if (this.saveToRecord && this.recordId && this.savedFile?.value !== value) {
+                // Marked before saving so a render while saving does not save again
+                this.savedFile = { value };
+                const contentDocumentId = await this.saveImage(imageDataUrl, extension);
+                this.savedFile = { value, contentDocumentId };
+                this.notifyFlow();
+            }
+        } catch (error) {
+            this.showToast('Error saving QR code', reduceError(error), 'error');
+        }
+    }
+
+    notifyFlow() {
+        FLOW_OUTPUTS.forEach((name) => {
+            this.dispatchEvent(new FlowAttributeChangeEvent(name, this[name]));
+        });
+    }
+
+    /******************************
+     * Signed payload
+     ******************************/
+
+    // Signed values are read on the server, so templates, payloads and values other than record ids cannot be signed
+    get signatureSource() {
+        switch (this.valueMode) {
+            case VALUE_MODES.RECORD_FIELD:
+                return this.usesStructuredPayload || this.usesValueTemplate
+                    ? null
+                    : { recordId: this.recordId, fieldApiName: this.qrCodeValueFieldApiName.trim() };
+            case VALUE_MODES.RECORD_ACTION:
+                return { recordId: this.recordId };
+            case VALUE_MODES.CURRENT_USER:
+                return { recordId: USER_ID };
+            case VALUE_MODES.URL_PARAMETER:
+            case VALUE_MODES.PROVIDED_VALUE: {
+                // The server checks that the id is a record the user can read
+                const value = (this.qrValueResolved || '').trim();
+                return RECORD_ID_PATTERN.test(value) ? { recordId: value } : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    ensureSignedToken(value) {
+        if (!value || this.signedToken?.value === value || this.pendingSignatureValue === value) return;
+        if (!this.signatureSource) {
+            this.signedToken = { value, error: UNSIGNABLE_VALUE_ERROR };
+            return;
+        }
+        this.requestSignedToken(value);
+    }
+
+    async requestSignedToken(value) {
+        this.pendingSignatureValue = value;
+        clearTimeout(this.tokenRefreshTimeout);
+
+        try {
+            const result = await signValue({
+                ...this.signatureSource,
+                keyName: this.signingKey,
+                lifetimeSeconds: parseInt(this.tokenLifetime, 10) || null
+            });
+            // Ignore tokens for a value that changed while signing
+            if (value !== this.qrValueResolved) return;
+
+            this.signedToken = { value, token: result.token };
+            this.scheduleTokenRefresh(value, result.expiresAt - result.issuedAt);
+        } catch (error) {
+            // Kept per value so a failing key is not retried on every render
+            this.signedToken = { value, error: reduceError(error) };
+            // eslint-disable-next-line no-console
+            console.error('Error signing qr code value:', error);
+        } finally {
+            if (this.pendingSignatureValue === value) {
+                this.pendingSignatureValue = undefined;
             }
-        };
-
-        if (this.logoUrl) {
-            options.image = this.logoUrl;
-            options.imageOptions = {
-                crossOrigin: 'anonymous',
-                margin: this.logoImageMargin || 5,
-                imageSize: this.logoImageSize || 0.5,
-                hideBackgroundDots: true
-            };
         }
+        this.tryRenderOrUpdateQr();
+    }
 
-        return options;
+    /**
+     * Uses the server's token lifetime rather than the browser clock, which may be off
+     * @param {String} value - The signed value
+     * @param {Number} lifetimeMs - Time between the issue and expiry of the token
+     */
+    scheduleTokenRefresh(value, lifetimeMs) {
+        const latest = lifetimeMs * TOKEN_REFRESH_RATIO;
+        const interval = parseInt(this.tokenRefreshInterval, 10) * 1000;
+        const delay = Math.max(interval > 0 ? Math.min(interval, latest) : latest, MIN_TOKEN_REFRESH_MS);
+
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.tokenRefreshTimeout = setTimeout(() => {
+            if (value === this.qrValueResolved) {
+                this.requestSignedToken(value);
+            }
+        }, delay);
     }
 
     /******************************
      * Utilities
      ******************************/
 
+    getRecordFieldValue() {
+        if (!this.record) return null;
+        if (this.usesStructuredPayload) {
+            return buildPayload(this.payloadType, this.getPayloadValues());
+        }
+        if (this.usesValueTemplate) {
+            return mergeTemplate(this.valueTemplate, (field) => this.getTemplateValue(field), {
+                encode: !!this.encodeTemplateValues
+            });
+        }
+        const qualified = this.getQualifiedFieldName(this.qrCodeValueFieldApiName);
+        return qualified ? getFieldValue(this.record, qualified) : null;
+    }
+
+    /**
+     * Save an image to the Files of the record
+     * @returns {Promise<String>} Id of the ContentDocument
+     */
+    saveImage(dataUrl, extension) {
+        return saveQrCode({
+            recordId: this.recordId,
+            title: this.resolvedFileTitle,
+            base64Data: dataUrl.substring(dataUrl.indexOf(',') + 1),
+            extension,
+            replaceExisting: !!this.replaceExistingFile
+        });
+    }
+
+    getPayloadValues() {
+        const values = {};
+        Object.entries(this.payloadMapping).forEach(([key, entry]) => {
+            if (entry.literal !== undefined) {
+                values[key] = entry.literal;
+                return;
+            }
+            const qualified = this.getQualifiedFieldName(entry.field);
+            values[key] = qualified ? getFieldValue(this.record, qualified) : null;
+        });
+        return values;
+    }
+
+    getTemplateValue(field) {
+        const qualified = this.record ? this.getQualifiedFieldName(field) : null;
+        if (!qualified) return null;
+
+        const value = getFieldValue(this.record, qualified);
+        if (this.templateValueFormat !== 'Formatted' || value === null || value === undefined) {
+            return value;
+        }
+        return getFieldDisplayValue(this.record, qualified) ?? formatValue(value);
+    }
+
+    resolveFileNameTemplate(template) {
+        const resolved = mergeTemplate(template, (field) => this.getTemplateValue(field), {
+            allowMissing: true
+        });
+        return resolved ? sanitizeFileName(resolved) || null : null;
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+
     getQualifiedFieldName(fieldName) {
         const field = (fieldName || '').trim();
         if (!field) return null;
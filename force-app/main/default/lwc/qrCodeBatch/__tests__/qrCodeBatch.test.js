@@ -0,0 +1,254 @@
+import { createElement } from '@lwc/engine-dom';
+import QrCodeBatch from 'c/qrCodeBatch';
+import { CurrentPageReference } from 'lightning/navigation';
+import getRecords from '@salesforce/apex/QrCodeBatchController.getRecords';
+import { createPdf, downloadBlob, printHtml } from 'c/qrCodeExport';
+
+jest.mock(
+    '@salesforce/apex/QrCodeBatchController.getRecords',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock('lightning/platformResourceLoader', () => ({
+    loadScript: jest.fn(() => Promise.resolve())
+}));
+
+jest.mock('c/qrCodeExport', () => {
+    const actual = jest.requireActual('c/qrCodeExport');
+    return {
+        ...actual,
+        createPdf: jest.fn(actual.createPdf),
+        downloadBlob: jest.fn(),
+        printHtml: jest.fn()
+    };
+});
+
+const RECORDS = [
+    { Id: '003000000000001AAA', Name: 'Jane Doe' },
+    { Id: '003000000000002AAA', Name: 'John Roe' },
+    { Id: '003000000000003AAA', Name: null }
+];
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Exported images are read together by a FileReader, which finishes in a later task
+const flushExport = async () => {
+    await flushPromises();
+    await flushPromises();
+};
+
+const createBatch = (props = {}) => {
+    const element = createElement('c-qr-code-batch', {
+        is: QrCodeBatch
+    });
+    Object.assign(element, props);
+    document.body.appendChild(element);
+    return element;
+};
+
+describe('c-qr-code-batch', () => {
+    beforeEach(() => {
+        getRecords.mockResolvedValue(RECORDS);
+        global.QRCodeStyling = jest.fn().mockImplementation(() => ({
+            append: jest.fn(),
+            update: jest.fn(),
+            getRawData: jest.fn(() => Promise.resolve(new Blob(['img'], { type: 'image/png' })))
+        }));
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+        delete global.QRCodeStyling;
+    });
+
+    it('does not query without record ids or a filter', async () => {
+        const element = createBatch({ objectApiName: 'Contact' });
+        await flushPromises();
+
+        expect(getRecords).not.toHaveBeenCalled();
+        expect(element.shadowRoot.textContent).toContain('No records selected.');
+    });
+
+    it('loads selected records and renders a QR code for each', async () => {
+        const element = createBatch({
+            objectApiName: 'Contact',
+            recordIds: RECORDS.map((r) => r.Id),
+            showLabels: true
+        });
+        await flushPromises();
+
+        expect(getRecords).toHaveBeenCalledWith({
+            objectApiName: 'Contact',
+            fieldPaths: ['Id', 'Name'],
+            recordIds: RECORDS.map((r) => r.Id),
+            filters: [],
+            maxRecords: 200
+        });
+        expect(global.QRCodeStyling).toHaveBeenCalledTimes(3);
+        expect(global.QRCodeStyling.mock.calls[0][0].data).toBe(RECORDS[0].Id);
+
+        const labels = [...element.shadowRoot.querySelectorAll('.qr-label')].map((l) => l.textContent.trim());
+        expect(labels).toEqual(['Jane Doe', 'John Roe']);
+    });
+
+    it('accepts comma-separated ids and a filter', async () => {
+        createBatch({
+            objectApiName: 'Contact',
+            recordIds: '003000000000001AAA, 003000000000002AAA',
+            recordFilter: "Status__c = 'Active' AND Type not in (Customer, \"Partner\") AND Email != null",
+            valueTemplate: 'https://site.com/?id={!Id}'
+        });
+        await flushPromises();
+
+        const params = getRecords.mock.calls[0][0];
+        expect(params.recordIds).toEqual(['003000000000001AAA', '003000000000002AAA']);
+        expect(params.filters).toEqual([
+            { field: 'Status__c', operator: '=', values: ['Active'] },
+            { field: 'Type', operator: 'NOT IN', values: ['Customer', 'Partner'] },
+            { field: 'Email', operator: '!=', values: [null] }
+        ]);
+        expect(params.fieldPaths).toEqual(['Id']);
+        expect(global.QRCodeStyling.mock.calls[0][0].data).toBe('https://site.com/?id=003000000000001AAA');
+    });
+
+    it('reads quoted values whole and AND in any case', async () => {
+        createBatch({
+            objectApiName: 'Account',
+            recordFilter: "Name = 'Smith AND Sons' and Type IN ('Partner, Reseller', Customer) And Site != null",
+            recordIds: []
+        });
+        await flushPromises();
+
+        expect(getRecords.mock.calls[0][0].filters).toEqual([
+            { field: 'Name', operator: '=', values: ['Smith AND Sons'] },
+            { field: 'Type', operator: 'IN', values: ['Partner, Reseller', 'Customer'] },
+            { field: 'Site', operator: '!=', values: [null] }
+        ]);
+    });
+
+    it('rejects unterminated quotes', async () => {
+        const element = createBatch({ objectApiName: 'Account', recordFilter: "Name = 'Acme AND Type = x" });
+        await flushPromises();
+
+        expect(getRecords).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.error').textContent)
+            .toContain("Invalid record filter condition: Name = 'Acme");
+    });
+
+    it('reads record ids from the page state', async () => {
+        createBatch();
+        CurrentPageReference.emit({
+            type: 'standard__component',
+            state: { c__objectApiName: 'Contact', c__recordIds: '003000000000001AAA' }
+        });
+        await flushPromises();
+
+        expect(getRecords).toHaveBeenCalledTimes(1);
+        expect(getRecords.mock.calls[0][0].recordIds).toEqual(['003000000000001AAA']);
+    });
+
+    it('applies the column layout', async () => {
+        const element = createBatch({ objectApiName: 'Contact', recordIds: [RECORDS[0].Id], columns: 4 });
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.qr-grid').style.gridTemplateColumns)
+            .toBe('repeat(4, minmax(0, 1fr))');
+    });
+
+    it('shows an error when records cannot be loaded', async () => {
+        getRecords.mockRejectedValue({ body: { message: 'Unknown object: Nope' } });
+        const element = createBatch({ objectApiName: 'Nope', recordFilter: 'Name != null' });
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.error').textContent).toContain('Unknown object: Nope');
+    });
+
+    it('does not send filters it cannot parse', async () => {
+        const element = createBatch({ objectApiName: 'Contact', recordFilter: 'Account.Name = Acme' });
+        await flushPromises();
+
+        expect(getRecords).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.error').textContent).toContain('Invalid record filter condition');
+    });
+
+    it('downloads a ZIP with one image per record', async () => {
+        const element = createBatch({
+            objectApiName: 'Contact',
+            recordIds: RECORDS.map((r) => r.Id),
+            showLabels: true,
+            exportFileName: 'Badges'
+        });
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.zip-button').click();
+        await flushExport();
+
+        expect(downloadBlob).toHaveBeenCalledTimes(1);
+        const [blob, fileName] = downloadBlob.mock.calls[0];
+        expect(fileName).toBe('Badges.zip');
+        expect(blob.type).toBe('application/zip');
+    });
+
+    it('lays out the PDF with the same columns as the grid', async () => {
+        const element = createBatch({
+            objectApiName: 'Contact',
+            recordIds: RECORDS.map((r) => r.Id),
+            columns: 0,
+            exportFileName: 'Badges'
+        });
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.pdf-button').click();
+        await flushExport();
+
+        expect(createPdf.mock.calls[0][1].columns).toBe(1);
+        expect(downloadBlob.mock.calls[0][1]).toBe('Badges.pdf');
+    });
+
+    it('prints only the QR codes from a separate frame', async () => {
+        const printSpy = jest.spyOn(window, 'print').mockImplementation(() => {});
+        const element = createBatch({
+            objectApiName: 'Contact',
+            recordIds: RECORDS.map((r) => r.Id),
+            showLabels: true,
+            columns: 2,
+            exportFileName: 'Badges'
+        });
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.print-button').click();
+        await flushExport();
+
+        expect(printSpy).not.toHaveBeenCalled();
+        expect(printHtml).toHaveBeenCalledTimes(1);
+        const [container, html] = printHtml.mock.calls[0];
+        expect(container).toBe(element.shadowRoot.querySelector('.print-frame'));
+        expect(html).toContain('<title>Badges</title>');
+        expect(html).toContain('repeat(2, minmax(0, 1fr))');
+        expect(html.match(/<img /g)).toHaveLength(3);
+        expect(html).toContain('Jane Doe');
+        printSpy.mockRestore();
+    });
+
+    it('explains values that are too long for a QR code', async () => {
+        getRecords.mockResolvedValue([
+            { Id: '003000000000001AAA', Description: 'a'.repeat(3000) },
+            { Id: '003000000000002AAA', Description: 'short' }
+        ]);
+        const element = createBatch({
+            objectApiName: 'Contact',
+            recordIds: ['003000000000001AAA', '003000000000002AAA'],
+            valueTemplate: '{!Description}'
+        });
+        await flushPromises();
+        await flushPromises();
+
+        expect(global.QRCodeStyling).toHaveBeenCalledTimes(1);
+        expect(element.shadowRoot.querySelectorAll('.qrcode')).toHaveLength(1);
+        expect(element.shadowRoot.querySelector('.no-value').textContent).toContain('too long for a QR code');
+    });
+});
@@ -0,0 +1,458 @@
+/***********************************************************************
+ * @license
+ * MIT License
+ * Copyright (c) 2026 SerkinSolutions
+ * See the LICENSE file in the project root for full license text.
+ *
+ * @description
+ * Generate QR codes for a set of records using the QR Code Styling JS library
+ *
+ * Record selection:
+ *  - recordIds: selected record ids, from a Flow launched by a list view
+ *    button (ids) or a comma-separated list
+ *  - c__recordIds / c__objectApiName URL parameters when opened by URL
+ *  - recordFilter: conditions on fields of the object joined by AND, when no
+ *    record ids are provided, such as Status__c = Active AND Type IN (A, B).
+ *    Quote values that contain AND or commas.
+ *    Sent to the server as field/operator/values conditions, never as SOQL.
+ *
+ * Each record's value and label are built from templates with {!Field} and
+ * {!Relationship.Field} tokens. Codes are laid out in a printable grid and can
+ * be exported as a ZIP of images or a multi-page PDF, or printed on their own.
+ *
+ * @date 2026
+ * @author SerkinSolutions
+ ***********************************************************************/
+import { LightningElement, api, wire } from 'lwc';
+import { CurrentPageReference } from 'lightning/navigation';
+import { loadScript } from 'lightning/platformResourceLoader';
+import QrCodeStylingLib from '@salesforce/resourceUrl/qrCodeStyling';
+import getRecords from '@salesforce/apex/QrCodeBatchController.getRecords';
+import getStyle from '@salesforce/apex/QrCodeStyleService.getStyle';
+import { getTemplateFieldNames, mergeTemplate } from 'c/qrCodeTemplate';
+import { buildQrCodeOptions } from 'c/qrCodeOptions';
+import { checkScannability } from 'c/qrCodeScannability';
+import {
+    PAGE_SIZES,
+    blobToBytes,
+    blobToDataUrl,
+    createPdf,
+    createPrintDocument,
+    createZip,
+    downloadBlob,
+    getImageFormat,
+    printHtml,
+    sanitizeFileName,
+    uniqueFileNames
+} from 'c/qrCodeExport';
+import { reduceError, getStateValue } from 'c/qrCodeUtils';
+
+const parseRecordIds = (value) => {
+    if (!value) return [];
+    const ids = Array.isArray(value) ? value : String(value).split(/[\s,;]+/);
+    return [...new Set(ids.map((id) => String(id).trim()).filter(Boolean))];
+};
+
+const COMPARISON_PATTERN = /^(\w+)\s*(!=|<=|>=|=|<|>)\s*(.+)$/;
+const LIST_PATTERN = /^(\w+)\s+(not\s+in|in|like)\s+(.+)$/i;
+const QUOTED_PATTERN = /(['"])(.*?)\1/g;
+// Stands in for a quoted literal while the filter is split
+const LITERAL_MARK = '\uE000';
+const LITERAL_PATTERN = new RegExp(`${LITERAL_MARK}(\\d+)${LITERAL_MARK}`, 'g');
+const LITERAL_VALUE_PATTERN = new RegExp(`^${LITERAL_MARK}(\\d+)${LITERAL_MARK}$`);
+
+// Quotes are optional. Unquoted null matches blank fields.
+const parseFilterValue = (value, literals) => {
+    const text = value.trim();
+    const literal = text.match(LITERAL_VALUE_PATTERN);
+    if (literal) return literals[literal[1]].value;
+    if (text.toLowerCase() === 'null') return null;
+    return text.replace(LITERAL_PATTERN, (mark, index) => literals[index].text);
+};
+
+/**
+ * Parse the record filter into conditions for QrCodeBatchController
+ * Quoted values are read whole, so they may contain AND and commas.
+ * @param {String} filter - Such as Status__c = Active AND Type IN (Customer, 'Partner, Reseller')
+ * @returns {Array<{field: String, operator: String, values: String[]}>}
+ */
+const parseRecordFilter = (filter) => {
+    const literals = [];
+    const text = (filter || '').trim().replace(QUOTED_PATTERN, (quoted, quote, value) => {
+        literals.push({ text: quoted, value });
+        return `${LITERAL_MARK}${literals.length - 1}${LITERAL_MARK}`;
+    });
+    if (!text) return [];
+
+    return text.split(/\s+and\s+/i).map((condition) => {
+        const match = condition.trim().match(COMPARISON_PATTERN) || condition.trim().match(LIST_PATTERN);
+        if (!match || /['"]/.test(condition)) {
+            const original = condition.trim().replace(LITERAL_PATTERN, (mark, index) => literals[index].text);
+            throw new Error(`Invalid record filter condition: ${original}`);
+        }
+        const operator = match[2].replace(/\s+/g, ' ').toUpperCase();
+        const values = operator.endsWith('IN')
+            ? match[3].trim().replace(/^\((.*)\)$/, '$1').split(',')
+            : [match[3]];
+        return { field: match[1], operator, values: values.map((value) => parseFilterValue(value, literals)) };
+    });
+};
+
+export default class QrCodeBatch extends LightningElement {
+    // Record selection
+    @api objectApiName;
+    @api recordIds;
+    @api recordFilter;
+    @api maxRecords = 200;
+
+    // Value and label
+    @api valueTemplate = '{!Id}';
+    @api encodeTemplateValues;
+    @api showLabels;
+    @api labelTemplate = '{!Name}';
+
+    // Layout and export
+    @api columns = 3;
+    @api pageSize = 'Letter';
+    @api exportFileName = 'QR Codes';
+    @api imageFormat = 'PNG';
+
+    // QR styling
+    @api stylePreset;
+    @api qrCodeHeight;
+    @api qrCodeWidth;
+    @api qrCodeMargin;
+    @api qrCodeShape; // "Square" | "Circle"
+    @api qrCodeDotsColor;
+    @api qrCodeDotsType;
+    @api dotsGradientType; // "None" | "Linear" | "Radial"
+    @api dotsGradientColors; // "#ff0000, #0000ff" or "#ff0000 0, #0000ff 100%"
+    @api dotsGradientRotation;
+    @api backgroundColor;
+    @api backgroundGradientType;
+    @api backgroundGradientColors;
+    @api backgroundGradientRotation;
+    @api cornersSquareStyle;
+    @api cornersSquareColor;
+    @api cornersDotStyle;
+    @api cornersDotColor;
+
+    // Encoding
+    @api errorCorrectionLevel; // "L" | "M" | "Q" | "H"
+    @api qrVersion; // 1-40, 0 = smallest that fits
+    @api qrMode; // "Auto" | "Byte" | "Numeric" | "Alphanumeric"
+
+    // Logo
+    @api logoUrl;
+    @api logoImageSize;
+    @api logoImageMargin;
+    @api logoShowBackgroundDots;
+
+    @api noQrValueMessage;
+
+    items = [];
+    error;
+    isLoading = false;
+    isExporting = false;
+
+    presetStyle;
+    stateRecordIds;
+    stateObjectApiName;
+
+    qrCodeInstances = new Map();
+    qrCodeLibLoaded = false;
+    scriptLoadStarted = false;
+    lastLoadKey;
+
+    /******************************
+     * Data wiring
+     ******************************/
+
+    get stylePresetName() {
+        const name = (this.stylePreset || '').trim();
+        return name || undefined;
+    }
+
+    @wire(getStyle, { developerName: '$stylePresetName' })
+    wiredStyle({ data, error }) {
+        if (data) {
+            this.presetStyle = data;
+        } else if (error) {
+            // Fall back to the component properties and defaults
+            this.presetStyle = {};
+            // eslint-disable-next-line no-console
+            console.error('Error loading qr code style preset:', error);
+        }
+        this.renderQrCodes();
+    }
+
+    @wire(CurrentPageReference)
+    wiredPageRef(pageRef) {
+        const state = pageRef?.state;
+        this.stateRecordIds = getStateValue(state, 'recordIds');
+        this.stateObjectApiName = getStateValue(state, 'objectApiName');
+        this.loadRecords();
+    }
+
+    /******************************
+     * Computed values
+     ******************************/
+
+    get effectiveObjectApiName() {
+        return this.objectApiName || this.stateObjectApiName;
+    }
+
+    get effectiveRecordIds() {
+        const ids = parseRecordIds(this.recordIds);
+        return ids.length ? ids : parseRecordIds(this.stateRecordIds);
+    }
+
+    get effectiveValueTemplate() {
+        return (this.valueTemplate || '').trim() || '{!Id}';
+    }
+
+    get fieldPaths() {
+        const templates = [this.effectiveValueTemplate];
+        if (this.showLabels) templates.push(this.labelTemplate);
+        return [...new Set(templates.flatMap((t) => getTemplateFieldNames(t)))];
+    }
+
+    get hasItems() {
+        return this.items.length > 0;
+    }
+
+    get hasExportableItems() {
+        return this.items.some((item) => item.hasValue);
+    }
+
+    get exportDisabled() {
+        return !this.hasExportableItems || this.isExporting;
+    }
+
+    get noValueMessage() {
+        return this.noQrValueMessage || 'QR code is not available.';
+    }
+
+    get columnCount() {
+        return Math.min(Math.max(parseInt(this.columns, 10) || 1, 1), 12);
+    }
+
+    get gridStyle() {
+        return `grid-template-columns: repeat(${this.columnCount}, minmax(0, 1fr));`;
+    }
+
+    get exportBaseName() {
+        return sanitizeFileName(this.exportFileName || '') || 'QR Codes';
+    }
+
+    get recordCountLabel() {
+        return `${this.items.length} ${this.items.length === 1 ? 'record' : 'records'}`;
+    }
+
+    /******************************
+     * Lifecycle hooks
+     ******************************/
+
+    connectedCallback() {
+        if (this.scriptLoadStarted) return;
+        this.scriptLoadStarted = true;
+
+        loadScript(this, QrCodeStylingLib)
+            .then(() => {
+                this.qrCodeLibLoaded = true;
+                this.renderQrCodes();
+            })
+            .catch((error) => {
+                this.error = 'Unable to load the QR code library.';
+                // eslint-disable-next-line no-console
+                console.error('Error loading qr-code-styling:', error);
+            });
+
+        this.loadRecords();
+    }
+
+    renderedCallback() {
+        this.renderQrCodes();
+    }
+
+    /******************************
+     * Load records
+     ******************************/
+
+    async loadRecords() {
+        const objectApiName = this.effectiveObjectApiName;
+        const recordIds = this.effectiveRecordIds;
+        let filters;
+        try {
+            filters = parseRecordFilter(this.recordFilter);
+        } catch (error) {
+            this.items = [];
+            this.error = error.message;
+            return;
+        }
+        if (!objectApiName || (!recordIds.length && !filters.length)) return;
+
+        const params = {
+            objectApiName,
+            fieldPaths: this.fieldPaths,
+            recordIds,
+            filters,
+            maxRecords: parseInt(this.maxRecords, 10) || null
+        };
+
+        // Avoid reloading when the page reference is re-emitted with the same state
+        const loadKey = JSON.stringify(params);
+        if (loadKey === this.lastLoadKey) return;
+        this.lastLoadKey = loadKey;
+
+        this.isLoading = true;
+        try {
+            const records = await getRecords(params);
+            this.qrCodeInstances = new Map();
+            this.items = records.map((values) => this.buildItem(values));
+            this.error = undefined;
+        } catch (error) {
+            this.items = [];
+            this.error = reduceError(error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    buildItem(values) {
+        const resolve = (field) => values[field];
+        const value = mergeTemplate(this.effectiveValueTemplate, resolve, {
+            encode: !!this.encodeTemplateValues
+        });
+        const label = this.showLabels
+            ? mergeTemplate(this.labelTemplate, resolve, { allowMissing: true })
+            : null;
+
+        return {
+            key: values.Id,
+            value,
+            label,
+            hasValue: !!value,
+            message: this.noValueMessage
+        };
+    }
+
+    /******************************
+     * Draw QR
+     ******************************/
+
+    renderQrCodes() {
+        if (!this.qrCodeLibLoaded || !this.hasItems) return;
+        if (this.stylePresetName && !this.presetStyle) return;
+
+        const rejected = new Map();
+        this.items.forEach((item) => {
+            if (!item.hasValue || this.qrCodeInstances.has(item.key)) return;
+
+            const container = this.template.querySelector(`.qrcode[data-id="${item.key}"]`);
+            if (!container) return;
+
+            // Fall back to safe settings, and skip values too long for a QR code
+            const { options, issues, canRender } = checkScannability(
+                buildQrCodeOptions(this, item.value, this.presetStyle),
+                { fallback: true }
+            );
+            if (!canRender) {
+                rejected.set(item.key, issues.find((issue) => issue.type === 'capacity')?.message);
+                return;
+            }
+
+            container.innerHTML = '';
+            const instance = new QRCodeStyling(options);
+            instance.append(container);
+            this.qrCodeInstances.set(item.key, instance);
+        });
+
+        // Explain the skipped values instead of leaving their cells empty
+        if (rejected.size) {
+            this.items = this.items.map((item) => (rejected.has(item.key)
+                ? { ...item, hasValue: false, message: rejected.get(item.key) || this.noValueMessage }
+                : item));
+        }
+    }
+
+    /******************************
+     * Event handlers
+     ******************************/
+
+    // Printed from a separate frame, so the page header and navigation are left out
+    async handlePrint() {
+        await this.runExport(async (items) => {
+            const sources = await this.getImages(items, 'png', blobToDataUrl);
+            const images = items.map((item, i) => ({ src: sources[i], label: item.label }));
+
+            const html = createPrintDocument(images, {
+                columns: this.columnCount,
+                showLabels: !!this.showLabels,
+                title: this.exportBaseName
+            });
+            printHtml(this.template.querySelector('.print-frame'), html);
+        });
+    }
+
+    async handleDownloadZip() {
+        const { extension } = getImageFormat(this.imageFormat);
+
+        await this.runExport(async (items) => {
+            const names = uniqueFileNames(
+                items.map((item) => `${sanitizeFileName(item.label || item.key) || item.key}.${extension}`)
+            );
+            const data = await this.getImages(items, extension, blobToBytes);
+            const files = names.map((name, i) => ({ name, data: data[i] }));
+            downloadBlob(createZip(files), `${this.exportBaseName}.zip`);
+        });
+    }
+
+    async handleDownloadPdf() {
+        await this.runExport(async (items) => {
+            const data = await this.getImages(items, 'jpeg', blobToBytes);
+            const images = items.map((item, i) => ({ image: data[i], label: item.label }));
+
+            const pdf = createPdf(images, {
+                pageSize: PAGE_SIZES[this.pageSize] ? this.pageSize : 'Letter',
+                columns: this.columnCount,
+                showLabels: !!this.showLabels
+            });
+            downloadBlob(pdf, `${this.exportBaseName}.pdf`);
+        });
+    }
+
+    /******************************
+     * Utilities
+     ******************************/
+
+    /**
+     * @param {Array} items - Items with a drawn QR code
+     * @param {String} extension - Image format of the QR code library
+     * @param {Function} convert - Reads an image blob, such as blobToBytes
+     * @returns {Promise<Array>} The converted image of each item, in order
+     */
+    getImages(items, extension, convert) {
+        return Promise.all(items.map(async (item) => {
+            const blob = await this.qrCodeInstances.get(item.key).getRawData(extension);
+            return convert(blob);
+        }));
+    }
+
+    async runExport(exportItems) {
+        if (this.isExporting) return;
+
+        this.isExporting = true;
+        try {
+            const items = this.items.filter((item) => this.qrCodeInstances.has(item.key));
+            await exportItems(items);
+        } catch (error) {
+            this.error = reduceError(error);
+            // eslint-disable-next-line no-console
+            console.error('Error exporting qr codes:', error);
+        } finally {
+            this.isExporting = false;
+        }
+    }
+
+}
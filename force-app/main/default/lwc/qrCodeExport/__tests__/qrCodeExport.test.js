@@ -0,0 +1,195 @@
+import {
+    blobToBytes,
+    crc32,
+    createZip,
+    createPdf,
+    createPrintDocument,
+    getImageFormat,
+    getJpegSize,
+    printHtml,
+    sanitizeFileName,
+    uniqueFileNames
+} from 'c/qrCodeExport';
+
+// 1x1 baseline JPEG
+const JPEG = Uint8Array.from(
+    atob(
+        '/9j/4AAQSkZJRgABAQEASABIAAD/2wBDAP//////////////////////////////////////////////////////////' +
+            '////////////////////////////wgALCAABAAEBAREA/8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAQABPxA='
+    ),
+    (c) => c.charCodeAt(0)
+);
+
+const encode = (text) => Uint8Array.from(text, (c) => c.charCodeAt(0));
+const toLatin1 = (bytes) => Array.from(bytes, (b) => String.fromCharCode(b)).join('');
+
+describe('c-qr-code-export', () => {
+    describe('crc32', () => {
+        it('matches the standard check value', () => {
+            expect(crc32(encode('123456789'))).toBe(0xcbf43926);
+        });
+    });
+
+    describe('getImageFormat', () => {
+        it('matches labels and extensions in any case', () => {
+            expect(getImageFormat('JPEG').extension).toBe('jpeg');
+            expect(getImageFormat('webp').label).toBe('WebP');
+            expect(getImageFormat('gif').extension).toBe('png');
+            expect(getImageFormat(undefined).extension).toBe('png');
+        });
+    });
+
+    describe('sanitizeFileName', () => {
+        it('replaces characters file systems reject', () => {
+            expect(sanitizeFileName(' Jane: Doe / "VIP"  Pass ')).toBe('Jane- Doe - -VIP- Pass');
+        });
+    });
+
+    describe('uniqueFileNames', () => {
+        it('appends a counter to duplicate names', () => {
+            expect(uniqueFileNames(['a.png', 'b.png', 'A.png', 'a.png', 'c']))
+                .toEqual(['a.png', 'b.png', 'A (1).png', 'a (2).png', 'c']);
+        });
+    });
+
+    describe('createZip', () => {
+        it('encodes file names as UTF-8', async () => {
+            const bytes = await blobToBytes(createZip([{ name: 'é.txt', data: encode('x') }]));
+            const view = new DataView(bytes.buffer);
+
+            expect(view.getUint16(6, true) & 0x0800).toBe(0x0800);
+            expect(view.getUint16(26, true)).toBe(6);
+            expect(Array.from(bytes.slice(30, 32))).toEqual([0xc3, 0xa9]);
+        });
+
+        it('writes stored entries with a central directory', async () => {
+            const blob = createZip(
+                [
+                    { name: 'one.txt', data: encode('hello') },
+                    { name: 'two.txt', data: encode('world!') }
+                ],
+                new Date(2026, 0, 2, 3, 4, 6)
+            );
+            expect(blob.type).toBe('application/zip');
+
+            const bytes = await blobToBytes(blob);
+            const view = new DataView(bytes.buffer);
+
+            // Local file header
+            expect(view.getUint32(0, true)).toBe(0x04034b50);
+            expect(view.getUint16(8, true)).toBe(0);
+            expect(view.getUint32(14, true)).toBe(crc32(encode('hello')));
+            expect(view.getUint32(18, true)).toBe(5);
+            expect(toLatin1(bytes.slice(30, 37))).toBe('one.txt');
+            expect(toLatin1(bytes.slice(37, 42))).toBe('hello');
+
+            // End of central directory
+            const end = bytes.length - 22;
+            expect(view.getUint32(end, true)).toBe(0x06054b50);
+            expect(view.getUint16(end + 10, true)).toBe(2);
+
+            const centralSize = view.getUint32(end + 12, true);
+            const centralOffset = view.getUint32(end + 16, true);
+            expect(centralOffset + centralSize).toBe(end);
+            expect(view.getUint32(centralOffset, true)).toBe(0x02014b50);
+
+            // Second central entry points at the second local header
+            const secondCentral = centralOffset + 46 + 'one.txt'.length;
+            const secondLocal = view.getUint32(secondCentral + 42, true);
+            expect(secondLocal).toBe(30 + 7 + 5);
+            expect(view.getUint32(secondLocal, true)).toBe(0x04034b50);
+        });
+    });
+
+    describe('getJpegSize', () => {
+        it('reads the frame size', () => {
+            expect(getJpegSize(JPEG)).toEqual({ width: 1, height: 1 });
+        });
+
+        it('returns null for other formats', () => {
+            expect(getJpegSize(encode('\x89PNG'))).toBeNull();
+        });
+    });
+
+    describe('createPdf', () => {
+        const readPdf = async (items, options) => toLatin1(await blobToBytes(createPdf(items, options)));
+
+        it('writes a valid cross-reference table', async () => {
+            const pdf = await readPdf([{ image: JPEG, label: 'One' }]);
+
+            expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+            expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+
+            const startXref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+            expect(pdf.substr(startXref, 4)).toBe('xref');
+
+            const offsets = [...pdf.substring(startXref).matchAll(/^(\d{10}) 00000 n $/gm)].map((m) => Number(m[1]));
+            expect(offsets.length).toBeGreaterThan(0);
+            offsets.forEach((offset, index) => {
+                expect(pdf.substr(offset, `${index + 1} 0 obj`.length)).toBe(`${index + 1} 0 obj`);
+            });
+        });
+
+        it('paginates the grid', async () => {
+            const items = Array.from({ length: 13 }, (_, i) => ({ image: JPEG, label: `Item ${i}` }));
+            // Letter with 3 columns fits 4 rows of 12 labeled images
+            const pdf = await readPdf(items, { pageSize: 'Letter', columns: 3 });
+
+            expect(pdf).toContain('/Type /Pages /Kids [');
+            expect(pdf).toContain('/Count 2');
+            expect(pdf.match(/\/Subtype \/Image/g)).toHaveLength(13);
+            expect(pdf).toContain('/MediaBox [0 0 612 792]');
+        });
+
+        it('escapes and truncates labels', async () => {
+            const pdf = await readPdf(
+                [{ image: JPEG, label: 'A (very) long label that does not fit in a narrow column' }],
+                { columns: 6 }
+            );
+
+            expect(pdf).toMatch(/\(A \\\(very\\\) long .*\.\.\.\) Tj/);
+        });
+
+        it('omits labels when disabled', async () => {
+            const pdf = await readPdf([{ image: JPEG, label: 'Hidden' }], { showLabels: false });
+            expect(pdf).not.toContain('Hidden');
+        });
+    });
+
+    describe('createPrintDocument', () => {
+        it('lays out the images in a grid with escaped labels', () => {
+            const html = createPrintDocument(
+                [{ src: 'data:image/png;base64,aW1n', label: '<b>Jane</b> & "Co"' }, { src: 'x.png', label: null }],
+                { columns: 4, title: 'Badges' }
+            );
+
+            expect(html).toContain('<title>Badges</title>');
+            expect(html).toContain('repeat(4, minmax(0, 1fr))');
+            expect(html).toContain('<img src="data:image/png;base64,aW1n"');
+            expect(html).toContain('&lt;b&gt;Jane&lt;/b&gt; &amp; &quot;Co&quot;');
+            expect(html).not.toContain('<b>Jane</b>');
+            expect(html.match(/class="label"/g)).toHaveLength(1);
+        });
+
+        it('omits labels when disabled', () => {
+            const html = createPrintDocument([{ src: 'x.png', label: 'Hidden' }], { showLabels: false });
+            expect(html).not.toContain('class="label"');
+        });
+    });
+
+    describe('printHtml', () => {
+        it('prints from a frame that replaces the previous one', () => {
+            const container = document.createElement('div');
+            printHtml(container, '<p>First</p>');
+            const frame = printHtml(container, '<p>Second</p>');
+
+            expect(container.querySelectorAll('iframe')).toHaveLength(1);
+            expect(frame.getAttribute('srcdoc')).toBe('<p>Second</p>');
+
+            const print = jest.fn();
+            Object.defineProperty(frame, 'contentWindow', { value: { focus: jest.fn(), print } });
+            frame.onload();
+            expect(print).toHaveBeenCalledTimes(1);
+        });
+    });
+});
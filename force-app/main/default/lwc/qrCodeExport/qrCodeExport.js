@@ -0,0 +1,494 @@
+/***********************************************************************
+ * @license
+ * MIT License
+ * Copyright (c) 2026 SerkinSolutions
+ * See the LICENSE file in the project root for full license text.
+ *
+ * @description
+ * Dependency-free writers for exporting sets of QR code images
+ *  - IMAGE_FORMATS / getImageFormat / sanitizeFileName: image file names
+ *  - createZip: uncompressed (stored) ZIP archive of image files
+ *  - createPdf: multi-page PDF laying out JPEG images in a labeled grid
+ *  - createPrintDocument: HTML page laying out images in a labeled grid
+ *  - printHtml: prints an HTML page from a separate frame, so the rest of
+ *    the page is left out
+ *
+ * @date 2026
+ * @author SerkinSolutions
+ ***********************************************************************/
+
+export const PAGE_SIZES = {
+    Letter: [612, 792],
+    Legal: [612, 1008],
+    A4: [595.28, 841.89]
+};
+
+export const IMAGE_FORMATS = [
+    { label: 'PNG', extension: 'png' },
+    { label: 'JPEG', extension: 'jpeg' },
+    { label: 'SVG', extension: 'svg' },
+    { label: 'WebP', extension: 'webp' }
+];
+
+const PAGE_MARGIN = 36;
+const CELL_PADDING = 6;
+const LABEL_FONT_SIZE = 9;
+const LABEL_HEIGHT = 14;
+
+/******************************
+ * Files
+ ******************************/
+
+/**
+ * @param {String} format - A label or extension from IMAGE_FORMATS, in any case
+ * @returns {{label: String, extension: String}} The format, or PNG when unknown
+ */
+export function getImageFormat(format) {
+    const key = (format || '').toLowerCase();
+    return IMAGE_FORMATS.find((f) => f.label.toLowerCase() === key || f.extension === key)
+        || IMAGE_FORMATS[0];
+}
+
+/**
+ * @param {String} name
+ * @returns {String} The name without characters file systems reject
+ */
+export function sanitizeFileName(name) {
+    return String(name).replace(/[\\/:*?"<>|]+/g, '-').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<Uint8Array>}
+ */
+export function blobToBytes(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(new Uint8Array(reader.result));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<String>} data URL
+ */
+export function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Save a blob through a temporary link
+ * @param {Blob} blob
+ * @param {String} fileName - File name including the extension
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Make file names unique within an archive by appending a counter
+ * @param {String[]} names
+ * @returns {String[]}
+ */
+export function uniqueFileNames(names) {
+    const seen = new Map();
+    return names.map((name) => {
+        const key = name.toLowerCase();
+        const count = seen.get(key) || 0;
+        seen.set(key, count + 1);
+        if (!count) return name;
+
+        const dot = name.lastIndexOf('.');
+        return dot > 0
+            ? `${name.substring(0, dot)} (${count})${name.substring(dot)}`
+            : `${name} (${count})`;
+    });
+}
+
+/******************************
+ * ZIP
+ ******************************/
+
+let crcTable;
+
+/**
+ * CRC-32 as used by ZIP
+ * @param {Uint8Array} bytes
+ * @returns {Number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @param {Array<{name: String, data: Uint8Array}>} files
+ * @param {Date} date - Modification date of the entries
+ * @returns {Blob} application/zip
+ */
+export function createZip(files, date = new Date()) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const nameBytes = encodeUtf8(name);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 file names
+        local.setUint16(8, 0, true); // stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 20, true);
+        header.setUint16(8, 0x0800, true);
+        header.setUint16(10, 0, true);
+        header.setUint16(12, time, true);
+        header.setUint16(14, day, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, data.length, true);
+        header.setUint32(24, data.length, true);
+        header.setUint16(28, nameBytes.length, true);
+        header.setUint32(42, offset, true);
+
+        chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+        central.push(new Uint8Array(header.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+/******************************
+ * PDF
+ ******************************/
+
+/**
+ * Read the pixel size from a baseline or progressive JPEG
+ * @param {Uint8Array} bytes
+ * @returns {{width: Number, height: Number}|null}
+ */
+export function getJpegSize(bytes) {
+    if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+
+    let i = 2;
+    while (i + 9 < bytes.length) {
+        if (bytes[i] !== 0xff) return null;
+        const marker = bytes[i + 1];
+        const length = (bytes[i + 2] << 8) | bytes[i + 3];
+        // SOF0 - SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return {
+                height: (bytes[i + 5] << 8) | bytes[i + 6],
+                width: (bytes[i + 7] << 8) | bytes[i + 8]
+            };
+        }
+        i += 2 + length;
+    }
+    return null;
+}
+
+/**
+ * Lay out JPEG images in a grid across as many pages as needed
+ * @param {Array<{image: Uint8Array, label: String}>} items - JPEG images
+ * @param {Object} options
+ * @param {String} options.pageSize - Letter, Legal or A4
+ * @param {Number} options.columns - Images per row
+ * @param {Boolean} options.showLabels - Print the label under each image
+ * @returns {Blob} application/pdf
+ */
+export function createPdf(items, { pageSize = 'Letter', columns = 3, showLabels = true } = {}) {
+    const [pageWidth, pageHeight] = PAGE_SIZES[pageSize] || PAGE_SIZES.Letter;
+    const cols = Math.max(1, parseInt(columns, 10) || 1);
+    const cellWidth = (pageWidth - PAGE_MARGIN * 2) / cols;
+    const imageSize = cellWidth - CELL_PADDING * 2;
+    const cellHeight = imageSize + CELL_PADDING * 2 + (showLabels ? LABEL_HEIGHT : 0);
+    const rows = Math.max(1, Math.floor((pageHeight - PAGE_MARGIN * 2) / cellHeight));
+    const perPage = rows * cols;
+
+    const writer = new PdfWriter();
+    const catalogId = writer.reserve();
+    const pagesId = writer.reserve();
+    const fontId = writer.add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+
+    const pageIds = [];
+    for (let start = 0; start < Math.max(items.length, 1); start += perPage) {
+        const pageItems = items.slice(start, start + perPage);
+        const xObjects = [];
+        let content = '';
+
+        pageItems.forEach((item, index) => {
+            const size = getJpegSize(item.image);
+            if (!size) return;
+
+            const imageId = writer.addStream(
+                `<< /Type /XObject /Subtype /Image /Width ${size.width} /Height ${size.height} ` +
+                    '/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode',
+                item.image
+            );
+            const name = `Im${index + 1}`;
+            xObjects.push(`/${name} ${imageId} 0 R`);
+
+            const col = index % cols;
+            const row = Math.floor(index / cols);
+            const x = PAGE_MARGIN + col * cellWidth + CELL_PADDING;
+            const top = pageHeight - PAGE_MARGIN - row * cellHeight - CELL_PADDING;
+
+            // Fit the image in the square cell, keeping its aspect ratio
+            const scale = imageSize / Math.max(size.width, size.height);
+            const width = size.width * scale;
+            const height = size.height * scale;
+            const imageX = x + (imageSize - width) / 2;
+            const imageY = top - imageSize + (imageSize - height) / 2;
+            content += `q ${fmt(width)} 0 0 ${fmt(height)} ${fmt(imageX)} ${fmt(imageY)} cm /${name} Do Q\n`;
+
+            if (showLabels && item.label) {
+                const label = fitText(item.label, imageSize);
+                const textX = x + (imageSize - textWidth(label)) / 2;
+                const textY = top - imageSize - LABEL_HEIGHT + 4;
+                content += `BT /F1 ${LABEL_FONT_SIZE} Tf ${fmt(textX)} ${fmt(textY)} Td (${escapePdfText(label)}) Tj ET\n`;
+            }
+        });
+
+        const contentId = writer.addStream('<<', encodeLatin1(content));
+        pageIds.push(writer.add(
+            `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${fmt(pageWidth)} ${fmt(pageHeight)}] ` +
+                `/Resources << /Font << /F1 ${fontId} 0 R >> /XObject << ${xObjects.join(' ')} >> >> ` +
+                `/Contents ${contentId} 0 R >>`
+        ));
+    }
+
+    writer.set(pagesId, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+    writer.set(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+
+    return writer.toBlob(catalogId);
+}
+
+class PdfWriter {
+    objects = [];
+
+    reserve() {
+        this.objects.push(null);
+        return this.objects.length;
+    }
+
+    set(id, dictionary) {
+        this.objects[id - 1] = [encodeLatin1(`${id} 0 obj\n${dictionary}\nendobj\n`)];
+    }
+
+    add(dictionary) {
+        const id = this.reserve();
+        this.set(id, dictionary);
+        return id;
+    }
+
+    // dictionary is an unterminated dictionary so /Length can be appended
+    addStream(dictionary, data) {
+        const id = this.reserve();
+        this.objects[id - 1] = [
+            encodeLatin1(`${id} 0 obj\n${dictionary} /Length ${data.length} >>\nstream\n`),
+            data,
+            encodeLatin1('\nendstream\nendobj\n')
+        ];
+        return id;
+    }
+
+    toBlob(rootId) {
+        const chunks = [encodeLatin1('%PDF-1.4\n%âãÏÓ\n')];
+        let offset = chunks[0].length;
+        const offsets = [];
+
+        this.objects.forEach((parts) => {
+            offsets.push(offset);
+            parts.forEach((part) => {
+                chunks.push(part);
+                offset += part.length;
+            });
+        });
+
+        const xref = [
+            'xref',
+            `0 ${this.objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${this.objects.length + 1} /Root ${rootId} 0 R >>`,
+            'startxref',
+            String(offset),
+            '%%EOF'
+        ].join('\n');
+        chunks.push(encodeLatin1(`${xref}\n`));
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+}
+
+/******************************
+ * Print
+ ******************************/
+
+/**
+ * Build a standalone HTML page laying out images in a labeled grid
+ * @param {Array<{src: String, label: String}>} items - Image URLs, such as data URLs
+ * @param {Object} options
+ * @param {Number} options.columns - Images per row
+ * @param {Boolean} options.showLabels - Print the label under each image
+ * @param {String} options.title - Document title
+ * @returns {String} HTML
+ */
+export function createPrintDocument(items, { columns = 3, showLabels = true, title = 'QR Codes' } = {}) {
+    const cols = Math.max(1, parseInt(columns, 10) || 1);
+    const cells = items.map(({ src, label }) => {
+        const caption = showLabels && label ? `<div class="label">${escapeHtml(label)}</div>` : '';
+        return `<div class="cell"><img src="${escapeHtml(src)}" alt="${escapeHtml(label || '')}">${caption}</div>`;
+    });
+
+    return [
+        '<!DOCTYPE html>',
+        '<html><head><meta charset="utf-8">',
+        `<title>${escapeHtml(title)}</title>`,
+        '<style>',
+        'body { margin: 0; font-family: sans-serif; }',
+        `.grid { display: grid; grid-template-columns: repeat(${cols}, minmax(0, 1fr)); gap: 12px; }`,
+        '.cell { break-inside: avoid; page-break-inside: avoid; min-width: 0; text-align: center; }',
+        '.cell img { max-width: 100%; height: auto; }',
+        '.label { font-size: 9pt; padding-top: 4px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }',
+        '</style></head>',
+        `<body><div class="grid">${cells.join('')}</div></body></html>`
+    ].join('\n');
+}
+
+/**
+ * Print an HTML document from a hidden frame in the container
+ * @param {HTMLElement} container - Element that holds the frame, such as a lwc:dom="manual" div
+ * @param {String} html - The document to print
+ * @returns {HTMLIFrameElement}
+ */
+export function printHtml(container, html) {
+    container.innerHTML = '';
+    const frame = document.createElement('iframe');
+    frame.title = 'Print';
+    frame.setAttribute('aria-hidden', 'true');
+    frame.style.cssText = 'position: absolute; width: 0; height: 0; border: 0;';
+    frame.onload = () => {
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+    };
+    frame.srcdoc = html;
+    container.appendChild(frame);
+    return frame;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function fmt(num) {
+    return Number(num.toFixed(2)).toString();
+}
+
+// Helvetica averages about half an em per character
+function textWidth(text) {
+    return text.length * LABEL_FONT_SIZE * 0.5;
+}
+
+function fitText(text, maxWidth) {
+    let result = String(text);
+    if (textWidth(result) <= maxWidth) return result;
+    while (result.length > 1 && textWidth(`${result}...`) > maxWidth) {
+        result = result.slice(0, -1);
+    }
+    return `${result}...`;
+}
+
+function escapePdfText(text) {
+    return text.replace(/[\\()]/g, '\\$&');
+}
+
+function encodeUtf8(text) {
+    const bytes = [];
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code < 0x80) {
+            bytes.push(code);
+        } else if (code < 0x800) {
+            bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+        } else if (code < 0x10000) {
+            bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+        } else {
+            bytes.push(
+                0xf0 | (code >> 18),
+                0x80 | ((code >> 12) & 0x3f),
+                0x80 | ((code >> 6) & 0x3f),
+                0x80 | (code & 0x3f)
+            );
+        }
+    }
+    return Uint8Array.from(bytes);
+}
+
+// PDF strings and operators are single-byte; characters outside Latin-1 become "?"
+function encodeLatin1(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        bytes[i] = code < 256 ? code : 63;
+    }
+    return bytes;
+}
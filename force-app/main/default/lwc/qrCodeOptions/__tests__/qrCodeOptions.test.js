@@ -0,0 +1,249 @@
+import {
+    buildQrCodeOptions,
+    resolveStyle,
+    normalizeColor,
+    parseGradientStops,
+    toRadians,
+    getRequiredErrorCorrectionLevel,
+    isDataValidForMode,
+    DEFAULT_STYLE
+} from 'c/qrCodeOptions';
+
+describe('c-qr-code-options', () => {
+    describe('resolveStyle', () => {
+        it('uses the defaults when nothing is set', () => {
+            expect(resolveStyle({})).toEqual(DEFAULT_STYLE);
+        });
+
+        it('applies the preset over the defaults and properties over the preset', () => {
+            const style = resolveStyle(
+                { qrCodeDotsColor: '#ff0000', backgroundColor: '  ', logoImageMargin: 0 },
+                { qrCodeDotsColor: '#00ff00', backgroundColor: '#eeeeee', qrCodeWidth: 200 }
+            );
+
+            expect(style.qrCodeDotsColor).toBe('#ff0000');
+            expect(style.backgroundColor).toBe('#eeeeee');
+            expect(style.qrCodeWidth).toBe(200);
+            expect(style.qrCodeHeight).toBe(DEFAULT_STYLE.qrCodeHeight);
+            expect(style.logoImageMargin).toBe(0);
+        });
+    });
+
+    describe('buildQrCodeOptions', () => {
+        it('maps the shared styling properties', () => {
+            const options = buildQrCodeOptions({
+                qrCodeWidth: 200,
+                qrCodeHeight: 250,
+                qrCodeDotsColor: '#112233',
+                qrCodeDotsType: 'Extra rounded',
+                backgroundColor: '#ffffff',
+                cornersSquareStyle: 'Extra rounded',
+                cornersDotStyle: 'Dot'
+            }, 'hello');
+
+            expect(options).toEqual({
+                width: 200,
+                height: 250,
+                margin: 0,
+                shape: 'square',
+                data: 'hello',
+                dotsOptions: { color: '#112233', type: 'extra rounded' },
+                backgroundOptions: { color: '#ffffff' },
+                cornersSquareOptions: { type: 'extra rounded', color: '#112233' },
+                cornersDotOptions: { type: 'dot', color: '#112233' },
+                qrOptions: { typeNumber: 0, mode: undefined, errorCorrectionLevel: 'H' }
+            });
+        });
+
+        it('defaults the dots type and omits corner types set to None', () => {
+            const options = buildQrCodeOptions({ cornersSquareStyle: 'None', cornersDotStyle: 'None' }, 'hello');
+
+            expect(options.dotsOptions.type).toBe('rounded');
+            expect(options.cornersSquareOptions.type).toBeUndefined();
+            expect(options.cornersDotOptions.type).toBeUndefined();
+        });
+
+        it('leaves blank corner types to the library', () => {
+            const options = buildQrCodeOptions({}, 'hello');
+
+            expect(options.cornersSquareOptions.type).toBeUndefined();
+            expect(options.cornersDotOptions.type).toBeUndefined();
+        });
+
+        it('adds image options when a logo is set', () => {
+            const options = buildQrCodeOptions({ logoUrl: 'https://example.com/logo.png', logoImageSize: '0.3' }, 'hello');
+
+            expect(options.image).toBe('https://example.com/logo.png');
+            expect(options.imageOptions).toEqual({
+                crossOrigin: 'anonymous',
+                margin: 5,
+                imageSize: 0.3,
+                hideBackgroundDots: true
+            });
+        });
+
+        it('uses the logo from the preset', () => {
+            const options = buildQrCodeOptions({}, 'hello', { logoUrl: 'https://example.com/brand.png' });
+            expect(options.image).toBe('https://example.com/brand.png');
+        });
+
+        it('normalizes colors and falls back to the defaults for invalid ones', () => {
+            const options = buildQrCodeOptions({ qrCodeDotsColor: 'ABC', backgroundColor: 'blue' }, 'hello');
+
+            expect(options.dotsOptions.color).toBe('#aabbcc');
+            expect(options.backgroundOptions.color).toBe(DEFAULT_STYLE.backgroundColor);
+        });
+
+        it('colors the corners separately from the dots', () => {
+            const options = buildQrCodeOptions({
+                qrCodeDotsColor: '#000000',
+                cornersSquareColor: '#ff0000',
+                cornersDotColor: 'not a color'
+            }, 'hello');
+
+            expect(options.cornersSquareOptions.color).toBe('#ff0000');
+            expect(options.cornersDotOptions.color).toBe('#000000');
+        });
+
+        it('adds gradients to the dots and background', () => {
+            const options = buildQrCodeOptions({
+                dotsGradientType: 'Linear',
+                dotsGradientColors: '#ff0000, #0000ff',
+                dotsGradientRotation: 90,
+                backgroundGradientType: 'Radial',
+                backgroundGradientColors: '#ffffff 0, #eeeeee 100%'
+            }, 'hello');
+
+            expect(options.dotsOptions.gradient).toEqual({
+                type: 'linear',
+                rotation: Math.PI / 2,
+                colorStops: [
+                    { offset: 0, color: '#ff0000' },
+                    { offset: 1, color: '#0000ff' }
+                ]
+            });
+            expect(options.backgroundOptions.gradient.type).toBe('radial');
+            expect(options.backgroundOptions.gradient.rotation).toBe(0);
+        });
+
+        it('skips gradients without a type or two valid stops', () => {
+            const options = buildQrCodeOptions({
+                dotsGradientType: 'None',
+                dotsGradientColors: '#ff0000, #0000ff',
+                backgroundGradientType: 'Linear',
+                backgroundGradientColors: '#ffffff'
+            }, 'hello');
+
+            expect(options.dotsOptions.gradient).toBeUndefined();
+            expect(options.backgroundOptions.gradient).toBeUndefined();
+        });
+
+        it('maps the shape, margin, version, mode and error correction level', () => {
+            const options = buildQrCodeOptions({
+                qrCodeShape: 'Circle',
+                qrCodeMargin: '10',
+                qrVersion: 55,
+                qrMode: 'Numeric',
+                errorCorrectionLevel: 'M'
+            }, '12345');
+
+            expect(options.shape).toBe('circle');
+            expect(options.margin).toBe(10);
+            expect(options.qrOptions).toEqual({ typeNumber: 40, mode: 'Numeric', errorCorrectionLevel: 'M' });
+        });
+
+        it('falls back to automatic mode when the data does not fit the mode', () => {
+            expect(buildQrCodeOptions({ qrMode: 'Alphanumeric' }, 'lowercase').qrOptions.mode).toBeUndefined();
+            expect(buildQrCodeOptions({ qrMode: 'Auto' }, '12345').qrOptions.mode).toBeUndefined();
+        });
+
+        it('uses automatic mode for Kanji, which the library cannot encode', () => {
+            expect(buildQrCodeOptions({ qrMode: 'Kanji' }, '漢字').qrOptions.mode).toBeUndefined();
+        });
+
+        it('raises the error correction level to fit the logo', () => {
+            const options = buildQrCodeOptions({
+                logoUrl: 'https://example.com/logo.png',
+                logoImageSize: 0.5,
+                errorCorrectionLevel: 'L'
+            }, 'hello');
+
+            expect(options.qrOptions.errorCorrectionLevel).toBe('H');
+        });
+
+        it('keeps the background dots behind the logo when asked', () => {
+            const options = buildQrCodeOptions({
+                logoUrl: 'https://example.com/logo.png',
+                logoShowBackgroundDots: true
+            }, 'hello');
+
+            expect(options.imageOptions.hideBackgroundDots).toBe(false);
+        });
+    });
+
+    describe('normalizeColor', () => {
+        it('expands and lowercases hex colors', () => {
+            expect(normalizeColor('#FFF')).toBe('#ffffff');
+            expect(normalizeColor(' 112233 ')).toBe('#112233');
+            expect(normalizeColor('#11223380')).toBe('#11223380');
+        });
+
+        it('rejects anything else', () => {
+            expect(normalizeColor('red')).toBeUndefined();
+            expect(normalizeColor('#12345')).toBeUndefined();
+            expect(normalizeColor('')).toBeUndefined();
+        });
+    });
+
+    describe('parseGradientStops', () => {
+        it('spreads missing offsets evenly', () => {
+            expect(parseGradientStops('#000, #444, #888 50%, #ccc, #fff')).toEqual([
+                { offset: 0, color: '#000000' },
+                { offset: 0.25, color: '#444444' },
+                { offset: 0.5, color: '#888888' },
+                { offset: 0.75, color: '#cccccc' },
+                { offset: 1, color: '#ffffff' }
+            ]);
+        });
+
+        it('clamps and sorts offsets and ignores invalid colors', () => {
+            expect(parseGradientStops('#ffffff 150%, nope 0.5, #000000 -1')).toEqual([
+                { offset: 0, color: '#000000' },
+                { offset: 1, color: '#ffffff' }
+            ]);
+        });
+
+        it('needs at least two stops', () => {
+            expect(parseGradientStops('#000000')).toEqual([]);
+            expect(parseGradientStops(undefined)).toEqual([]);
+        });
+    });
+
+    describe('toRadians', () => {
+        it('wraps degrees into a full turn', () => {
+            expect(toRadians(180)).toBe(Math.PI);
+            expect(toRadians(-90)).toBe(Math.PI * 1.5);
+            expect(toRadians(360)).toBe(0);
+            expect(toRadians('abc')).toBe(0);
+        });
+    });
+
+    describe('getRequiredErrorCorrectionLevel', () => {
+        it('needs more error correction for larger logos', () => {
+            expect(getRequiredErrorCorrectionLevel(0)).toBe('L');
+            expect(getRequiredErrorCorrectionLevel(0.2)).toBe('M');
+            expect(getRequiredErrorCorrectionLevel(0.4)).toBe('Q');
+            expect(getRequiredErrorCorrectionLevel(0.6)).toBe('H');
+        });
+    });
+
+    describe('isDataValidForMode', () => {
+        it('checks the characters each mode can encode', () => {
+            expect(isDataValidForMode('Numeric', '0123')).toBe(true);
+            expect(isDataValidForMode('Numeric', '12a')).toBe(false);
+            expect(isDataValidForMode('Alphanumeric', 'HTTPS://EXAMPLE.COM/A B')).toBe(true);
+            expect(isDataValidForMode('Alphanumeric', 'https://example.com')).toBe(false);
+            expect(isDataValidForMode('Byte', 'anything')).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,290 @@
+/***********************************************************************
+ * @license
+ * MIT License
+ * Copyright (c) 2026 SerkinSolutions
+ * See the LICENSE file in the project root for full license text.
+ *
+ * @description
+ * Builds qr-code-styling options from the styling properties shared by
+ * the QR code components (qrCodeHeight, qrCodeDotsColor, logoUrl, ...)
+ *
+ * Each styling property is resolved in this order:
+ *  1) The property set on the component, if not blank
+ *  2) The style preset (QR Code Style custom metadata), if selected
+ *  3) DEFAULT_STYLE
+ *
+ * Resolved values are then normalized: colors must be hex (#rgb, #rrggbb,
+ * #rrggbbaa), gradients need a type and at least two color stops, numbers
+ * are clamped to their range, a mode that cannot encode the data falls back
+ * to automatic selection, and the error correction level is raised to fit the logo size.
+ *
+ * @date 2026
+ * @author SerkinSolutions
+ ***********************************************************************/
+
+export const DEFAULT_STYLE = {
+    qrCodeWidth: 300,
+    qrCodeHeight: 300,
+    qrCodeMargin: 0,
+    qrCodeShape: 'Square',
+    qrCodeDotsColor: '#000000',
+    qrCodeDotsType: 'Rounded',
+    dotsGradientType: 'None',
+    dotsGradientColors: undefined,
+    dotsGradientRotation: 0,
+    backgroundColor: '#ffffff',
+    backgroundGradientType: 'None',
+    backgroundGradientColors: undefined,
+    backgroundGradientRotation: 0,
+    cornersSquareStyle: undefined,
+    cornersSquareColor: undefined,
+    cornersDotStyle: undefined,
+    cornersDotColor: undefined,
+    logoUrl: undefined,
+    logoImageSize: 0.4,
+    logoImageMargin: 5,
+    logoShowBackgroundDots: false,
+    errorCorrectionLevel: 'H',
+    qrVersion: 0,
+    qrMode: 'Auto'
+};
+
+export const STYLE_PROPERTIES = Object.keys(DEFAULT_STYLE);
+
+export const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Share of the code that can be restored by each error correction level
+export const ERROR_CORRECTION_PERCENT = { L: 0.07, M: 0.15, Q: 0.25, H: 0.3 };
+
+export const QR_MODES = ['Numeric', 'Alphanumeric', 'Byte'];
+
+// Same checks qr-code-styling uses to pick a mode when none is set
+const ALPHANUMERIC_PATTERN = /^[0-9A-Z $%*+\-./:]*$/;
+const NUMERIC_PATTERN = /^[0-9]*$/;
+const MAX_QR_VERSION = 40;
+
+/**
+ * @param {Object} config - An object with the shared styling properties, such as a component
+ * @param {Object} preset - Styling properties from a style preset
+ * @returns {Object} The resolved value of every styling property
+ */
+export function resolveStyle(config = {}, preset = {}) {
+    const style = {};
+    STYLE_PROPERTIES.forEach((property) => {
+        style[property] = [config[property], preset?.[property], DEFAULT_STYLE[property]]
+            .find((value) => !isBlank(value));
+    });
+    return style;
+}
+
+/**
+ * @param {Object} config - An object with the shared styling properties, such as a component
+ * @param {String} data - The value of the QR code
+ * @param {Object} preset - Styling properties from a style preset
+ * @returns {Object} Options for the QRCodeStyling constructor or update()
+ */
+export function buildQrCodeOptions(config = {}, data, preset = {}) {
+    const style = resolveStyle(config, preset);
+
+    const dotsColor = normalizeColor(style.qrCodeDotsColor) || DEFAULT_STYLE.qrCodeDotsColor;
+    const backgroundColor = normalizeColor(style.backgroundColor) || DEFAULT_STYLE.backgroundColor;
+    const imageSize = style.logoUrl ? normalizeImageSize(style.logoImageSize) : 0;
+
+    const options = {
+        width: toInteger(style.qrCodeWidth, 1) || DEFAULT_STYLE.qrCodeWidth,
+        height: toInteger(style.qrCodeHeight, 1) || DEFAULT_STYLE.qrCodeHeight,
+        margin: toInteger(style.qrCodeMargin, 0) || 0,
+        shape: String(style.qrCodeShape).toLowerCase() === 'circle' ? 'circle' : 'square',
+        data,
+        dotsOptions: withGradient({
+            color: dotsColor,
+            type: String(style.qrCodeDotsType).toLowerCase()
+        }, style.dotsGradientType, style.dotsGradientColors, style.dotsGradientRotation),
+        backgroundOptions: withGradient({
+            color: backgroundColor
+        }, style.backgroundGradientType, style.backgroundGradientColors, style.backgroundGradientRotation),
+        cornersSquareOptions: {
+            type: toCornerType(style.cornersSquareStyle),
+            color: normalizeColor(style.cornersSquareColor) || dotsColor
+        },
+        cornersDotOptions: {
+            type: toCornerType(style.cornersDotStyle),
+            color: normalizeColor(style.cornersDotColor) || dotsColor
+        },
+        qrOptions: {
+            typeNumber: toInteger(style.qrVersion, 0, MAX_QR_VERSION) || 0,
+            mode: normalizeMode(style.qrMode, data),
+            errorCorrectionLevel: maxErrorCorrectionLevel(
+                normalizeErrorCorrectionLevel(style.errorCorrectionLevel),
+                getRequiredErrorCorrectionLevel(imageSize)
+            )
+        }
+    };
+
+    if (style.logoUrl) {
+        options.image = style.logoUrl;
+        options.imageOptions = {
+            crossOrigin: 'anonymous',
+            margin: toInteger(style.logoImageMargin, 0) ?? DEFAULT_STYLE.logoImageMargin,
+            imageSize,
+            hideBackgroundDots: !style.logoShowBackgroundDots
+        };
+    }
+
+    return options;
+}
+
+/******************************
+ * Validation and normalization
+ ******************************/
+
+/**
+ * @param {String} color - #rgb, #rrggbb or #rrggbbaa, with or without the #
+ * @returns {String|undefined} Lowercase #rrggbb or #rrggbbaa, or undefined if invalid
+ */
+export function normalizeColor(color) {
+    if (isBlank(color)) return undefined;
+
+    const hex = String(color).trim().replace(/^#/, '').toLowerCase();
+    if (/^[0-9a-f]{3}$/.test(hex)) {
+        return `#${hex.split('').map((c) => c + c).join('')}`;
+    }
+    if (/^[0-9a-f]{6}([0-9a-f]{2})?$/.test(hex)) {
+        return `#${hex}`;
+    }
+    return undefined;
+}
+
+/**
+ * Parse gradient stops written as "color [offset]" pairs separated by commas,
+ * such as "#ff0000, #0000ff" or "#ff0000 0, #00ff00 25%, #0000ff 1".
+ * Missing offsets are spread evenly between their neighbors.
+ * @param {String} value
+ * @returns {Array<{offset: Number, color: String}>} Sorted stops, or an empty list if fewer than two are valid
+ */
+export function parseGradientStops(value) {
+    if (isBlank(value)) return [];
+
+    const stops = String(value)
+        .split(',')
+        .map((part) => part.trim().split(/\s+/))
+        .map(([color, offset]) => ({ color: normalizeColor(color), offset: parseOffset(offset) }))
+        .filter((stop) => stop.color);
+
+    if (stops.length < 2) return [];
+
+    // Spread stops without an offset evenly between their neighbors
+    if (stops[0].offset === undefined) stops[0].offset = 0;
+    if (stops[stops.length - 1].offset === undefined) stops[stops.length - 1].offset = 1;
+    for (let i = 1; i < stops.length - 1; i++) {
+        if (stops[i].offset !== undefined) continue;
+        let next = i + 1;
+        while (stops[next].offset === undefined) next++;
+        const start = stops[i - 1].offset;
+        stops[i].offset = start + (stops[next].offset - start) / (next - i + 1);
+    }
+
+    return stops
+        .map((stop) => ({ offset: Math.min(Math.max(stop.offset, 0), 1), color: stop.color }))
+        .sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * @param {Number|String} degrees
+ * @returns {Number} Rotation in radians, between 0 and 2π
+ */
+export function toRadians(degrees) {
+    const value = Number(degrees);
+    if (!Number.isFinite(value)) return 0;
+    return (((value % 360) + 360) % 360) * (Math.PI / 180);
+}
+
+/**
+ * The logo hides the modules it covers, so larger logos need more error correction
+ * @param {Number} imageSize - Logo size coefficient, from 0 to 1
+ * @returns {String} The lowest recommended error correction level
+ */
+export function getRequiredErrorCorrectionLevel(imageSize) {
+    if (!imageSize) return 'L';
+    if (imageSize <= 0.2) return 'M';
+    if (imageSize <= 0.4) return 'Q';
+    return 'H';
+}
+
+/**
+ * @returns {Boolean} Whether the data only uses characters the mode can encode
+ */
+export function isDataValidForMode(mode, data) {
+    const value = data === null || data === undefined ? '' : String(data);
+    switch (mode) {
+        case 'Numeric':
+            return NUMERIC_PATTERN.test(value);
+        case 'Alphanumeric':
+            return ALPHANUMERIC_PATTERN.test(value);
+        default:
+            return true;
+    }
+}
+
+function normalizeErrorCorrectionLevel(level) {
+    const value = String(level || '').trim().toUpperCase().charAt(0);
+    return ERROR_CORRECTION_LEVELS.includes(value) ? value : DEFAULT_STYLE.errorCorrectionLevel;
+}
+
+function maxErrorCorrectionLevel(a, b) {
+    return ERROR_CORRECTION_LEVELS.indexOf(a) >= ERROR_CORRECTION_LEVELS.indexOf(b) ? a : b;
+}
+
+// Undefined lets qr-code-styling pick the most compact mode for the data
+function normalizeMode(mode, data) {
+    const value = QR_MODES.find((m) => m.toLowerCase() === String(mode || '').trim().toLowerCase());
+    if (!value || !isDataValidForMode(value, data)) return undefined;
+    return value;
+}
+
+function normalizeImageSize(size) {
+    const value = Number(size);
+    if (!Number.isFinite(value)) return DEFAULT_STYLE.logoImageSize;
+    return Math.min(Math.max(value, 0), 1);
+}
+
+function withGradient(options, type, colors, rotation) {
+    const gradientType = String(type || '').trim().toLowerCase();
+    if (gradientType !== 'linear' && gradientType !== 'radial') return options;
+
+    const colorStops = parseGradientStops(colors);
+    if (!colorStops.length) return options;
+
+    return {
+        ...options,
+        gradient: {
+            type: gradientType,
+            rotation: toRadians(rotation),
+            colorStops
+        }
+    };
+}
+
+function parseOffset(offset) {
+    if (isBlank(offset)) return undefined;
+    const text = String(offset).trim();
+    const value = text.endsWith('%') ? parseFloat(text) / 100 : parseFloat(text);
+    return Number.isFinite(value) ? value : undefined;
+}
+
+function toInteger(value, min, max = Number.MAX_SAFE_INTEGER) {
+    if (isBlank(value)) return undefined;
+    const num = parseInt(value, 10);
+    if (!Number.isFinite(num)) return undefined;
+    return Math.min(Math.max(num, min), max);
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && !value.trim());
+}
+
+function toCornerType(style) {
+    return style === 'None'
+        ? undefined
+        : (style || undefined)?.toLowerCase?.();
+}
@@ -0,0 +1,215 @@
+import {
+    PAYLOAD_TYPES,
+    parseFieldMapping,
+    getMappedFieldNames,
+    buildPayload,
+    encodeVCard,
+    encodeWifi,
+    encodeMailto,
+    encodeSms,
+    encodeTel,
+    encodeGeo,
+    encodeCalendarEvent,
+    escapeText,
+    foldLine
+} from 'c/qrCodePayloads';
+
+const CRLF = '\r\n';
+
+describe('c-qr-code-payloads', () => {
+    describe('parseFieldMapping', () => {
+        it('returns the defaults for the payload type', () => {
+            const mapping = parseFieldMapping(PAYLOAD_TYPES.PHONE);
+            expect(mapping).toEqual({ phone: { field: 'Phone' } });
+        });
+
+        it('overrides defaults, removes blank keys and supports literals', () => {
+            const mapping = parseFieldMapping(
+                PAYLOAD_TYPES.EMAIL,
+                'email=Work_Email__c; subject="Hello"\nbody='
+            );
+            expect(mapping).toEqual({
+                email: { field: 'Work_Email__c' },
+                subject: { literal: 'Hello' }
+            });
+        });
+
+        it('ignores malformed pairs', () => {
+            const mapping = parseFieldMapping(PAYLOAD_TYPES.WIFI, 'ssid, =Name, password=Password__c');
+            expect(mapping).toEqual({ password: { field: 'Password__c' } });
+        });
+
+        it('expands a compound location field', () => {
+            const mapping = parseFieldMapping(PAYLOAD_TYPES.GEO, 'location=Site__c');
+            expect(mapping).toEqual({
+                latitude: { field: 'Site__Latitude__s' },
+                longitude: { field: 'Site__Longitude__s' }
+            });
+        });
+
+        it('lists mapped field names without literals', () => {
+            const mapping = parseFieldMapping(PAYLOAD_TYPES.SMS, 'message="Hi"');
+            expect(getMappedFieldNames(mapping)).toEqual(['MobilePhone']);
+        });
+    });
+
+    describe('escaping and folding', () => {
+        it('escapes TEXT values per RFC 2426 and RFC 5545', () => {
+            expect(escapeText('a\\b;c,d\ne')).toBe('a\\\\b\\;c\\,d\\ne');
+        });
+
+        it('folds lines longer than 75 octets', () => {
+            const folded = foldLine(`DESCRIPTION:${'x'.repeat(100)}`);
+            const lines = folded.split(CRLF);
+            expect(lines).toHaveLength(2);
+            expect(lines[0]).toHaveLength(75);
+            expect(lines[1].startsWith(' ')).toBe(true);
+            expect(folded.replace(`${CRLF} `, '')).toBe(`DESCRIPTION:${'x'.repeat(100)}`);
+        });
+
+        it('does not split multi-byte characters when folding', () => {
+            const folded = foldLine(`NOTE:${'é'.repeat(50)}`);
+            folded.split(CRLF).forEach((line) => {
+                expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+            });
+        });
+    });
+
+    describe('encodeVCard', () => {
+        it('builds a vCard 3.0 with CRLF line endings', () => {
+            const vcard = encodeVCard({
+                firstName: 'Jane',
+                lastName: 'Doe',
+                organization: 'Acme, Inc.',
+                title: 'CEO',
+                phone: '555-1234',
+                mobilePhone: '555-9876',
+                email: 'jane@example.com',
+                street: '1 Main St\nSuite 2',
+                city: 'Springfield',
+                state: 'IL',
+                postalCode: '62701',
+                country: 'USA'
+            });
+
+            expect(vcard.split(CRLF)).toEqual([
+                'BEGIN:VCARD',
+                'VERSION:3.0',
+                'N:Doe;Jane;;;',
+                'FN:Jane Doe',
+                'ORG:Acme\\, Inc.',
+                'TITLE:CEO',
+                'TEL;TYPE=WORK,VOICE:555-1234',
+                'TEL;TYPE=CELL:555-9876',
+                'EMAIL;TYPE=INTERNET:jane@example.com',
+                'ADR;TYPE=WORK:;;1 Main St\\nSuite 2;Springfield;IL;62701;USA',
+                'END:VCARD'
+            ]);
+        });
+
+        it('escapes structured name components', () => {
+            const vcard = encodeVCard({ firstName: 'A;B', lastName: 'C,D' });
+            expect(vcard).toContain('N:C\\,D;A\\;B;;;');
+        });
+
+        it('returns null without a name or organization', () => {
+            expect(encodeVCard({ email: 'jane@example.com' })).toBeNull();
+        });
+    });
+
+    describe('encodeWifi', () => {
+        it('builds a WPA network string with escaped values', () => {
+            expect(encodeWifi({ ssid: 'Guest;Net', password: 'p:a"s\\s', hidden: true }))
+                .toBe('WIFI:T:WPA;S:Guest\\;Net;P:p\\:a\\"s\\\\s;H:true;;');
+        });
+
+        it('uses nopass for open networks', () => {
+            expect(encodeWifi({ ssid: 'Open' })).toBe('WIFI:T:nopass;S:Open;;');
+        });
+
+        it('supports WEP', () => {
+            expect(encodeWifi({ ssid: 'Old', password: 'secret', security: 'wep' }))
+                .toBe('WIFI:T:WEP;S:Old;P:secret;;');
+        });
+
+        it('returns null without an ssid', () => {
+            expect(encodeWifi({ password: 'secret' })).toBeNull();
+        });
+    });
+
+    describe('URI encoders', () => {
+        it('builds a mailto URI with encoded headers', () => {
+            expect(encodeMailto({ email: 'a+b@example.com', subject: 'Hi & bye', body: 'Line 1\nLine 2' }))
+                .toBe('mailto:a%2Bb@example.com?subject=Hi%20%26%20bye&body=Line%201%0ALine%202');
+        });
+
+        it('builds an SMSTO string', () => {
+            expect(encodeSms({ phone: '+1 (555) 123-4567', message: 'Hello' })).toBe('SMSTO:+15551234567:Hello');
+        });
+
+        it('builds a tel URI', () => {
+            expect(encodeTel({ phone: '(555) 123-4567' })).toBe('tel:5551234567');
+            expect(encodeTel({ phone: 'n/a' })).toBeNull();
+        });
+
+        it('builds a geo URI and validates coordinates', () => {
+            expect(encodeGeo({ latitude: 40.7128, longitude: '-74.006' })).toBe('geo:40.7128,-74.006');
+            expect(encodeGeo({ latitude: 91, longitude: 0 })).toBeNull();
+            expect(encodeGeo({ latitude: 10 })).toBeNull();
+        });
+    });
+
+    describe('encodeCalendarEvent', () => {
+        it('builds a VEVENT inside a VCALENDAR', () => {
+            const ics = encodeCalendarEvent({
+                uid: '00U000000000001',
+                summary: 'Kickoff, day 1',
+                start: '2026-03-01T15:00:00.000Z',
+                end: '2026-03-01T16:30:00.000Z',
+                location: 'Room 1',
+                timestamp: '2026-02-01T12:00:00.000Z'
+            });
+
+            expect(ics.split(CRLF)).toEqual([
+                'BEGIN:VCALENDAR',
+                'VERSION:2.0',
+                'PRODID:-//SerkinSolutions//QR Code Styling for Salesforce//EN',
+                'BEGIN:VEVENT',
+                'UID:00U000000000001',
+                'DTSTAMP:20260201T120000Z',
+                'DTSTART:20260301T150000Z',
+                'DTEND:20260301T163000Z',
+                'SUMMARY:Kickoff\\, day 1',
+                'LOCATION:Room 1',
+                'END:VEVENT',
+                'END:VCALENDAR'
+            ]);
+        });
+
+        it('uses DATE values with an exclusive end for all-day events', () => {
+            const ics = encodeCalendarEvent({
+                uid: '00U000000000001',
+                start: '2026-03-01T00:00:00.000Z',
+                end: '2026-03-02T00:00:00.000Z',
+                allDay: true
+            });
+
+            expect(ics).toContain(`DTSTART;VALUE=DATE:20260301${CRLF}`);
+            expect(ics).toContain(`DTEND;VALUE=DATE:20260303${CRLF}`);
+        });
+
+        it('returns null without a start', () => {
+            expect(encodeCalendarEvent({ summary: 'No date' })).toBeNull();
+        });
+    });
+
+    describe('buildPayload', () => {
+        it('dispatches to the encoder for the type', () => {
+            expect(buildPayload(PAYLOAD_TYPES.PHONE, { phone: '5551234' })).toBe('tel:5551234');
+        });
+
+        it('returns null for unknown types', () => {
+            expect(buildPayload(PAYLOAD_TYPES.FIELD_VALUE, { phone: '5551234' })).toBeNull();
+        });
+    });
+});
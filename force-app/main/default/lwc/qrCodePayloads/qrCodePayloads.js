@@ -0,0 +1,411 @@
+/***********************************************************************
+ * @license
+ * MIT License
+ * Copyright (c) 2026 SerkinSolutions
+ * See the LICENSE file in the project root for full license text.
+ *
+ * @description
+ * Encoders for structured QR code payloads
+ *
+ * Payload types:
+ *  - vCard:          vCard 3.0 (RFC 2426)
+ *  - Wi-Fi:          WIFI: network configuration string
+ *  - Email:          mailto: URI (RFC 6068)
+ *  - SMS:            SMSTO: string
+ *  - Phone:          tel: URI (RFC 3966)
+ *  - Geo Location:   geo: URI (RFC 5870)
+ *  - Calendar Event: iCalendar VEVENT (RFC 5545)
+ *
+ * Field mappings are written as key=FieldApiName pairs separated by commas,
+ * semicolons or new lines. Wrap a value in double quotes to use it as a literal.
+ *
+ * @date 2026
+ * @author SerkinSolutions
+ ***********************************************************************/
+
+export const PAYLOAD_TYPES = {
+    FIELD_VALUE: 'Field Value',
+    VCARD: 'vCard',
+    WIFI: 'Wi-Fi',
+    EMAIL: 'Email',
+    SMS: 'SMS',
+    PHONE: 'Phone',
+    GEO: 'Geo Location',
+    CALENDAR_EVENT: 'Calendar Event'
+};
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+const PRODID = '-//SerkinSolutions//QR Code Styling for Salesforce//EN';
+
+const DEFAULT_FIELD_MAPPINGS = {
+    [PAYLOAD_TYPES.VCARD]: {
+        firstName: 'FirstName',
+        lastName: 'LastName',
+        organization: 'Account.Name',
+        title: 'Title',
+        phone: 'Phone',
+        mobilePhone: 'MobilePhone',
+        email: 'Email',
+        street: 'MailingStreet',
+        city: 'MailingCity',
+        state: 'MailingState',
+        postalCode: 'MailingPostalCode',
+        country: 'MailingCountry'
+    },
+    [PAYLOAD_TYPES.WIFI]: {},
+    [PAYLOAD_TYPES.EMAIL]: {
+        email: 'Email'
+    },
+    [PAYLOAD_TYPES.SMS]: {
+        phone: 'MobilePhone'
+    },
+    [PAYLOAD_TYPES.PHONE]: {
+        phone: 'Phone'
+    },
+    [PAYLOAD_TYPES.GEO]: {},
+    [PAYLOAD_TYPES.CALENDAR_EVENT]: {
+        uid: 'Id',
+        summary: 'Subject',
+        start: 'StartDateTime',
+        end: 'EndDateTime',
+        allDay: 'IsAllDayEvent',
+        location: 'Location',
+        description: 'Description',
+        timestamp: 'LastModifiedDate'
+    }
+};
+
+/******************************
+ * Field mapping
+ ******************************/
+
+/**
+ * Parse a field mapping string and merge it over the defaults for the payload type
+ * @param {String} payloadType
+ * @param {String} mappingString - e.g. "ssid=Network_Name__c, password=Password__c"
+ * @returns {Object} key -> { field } | { literal }
+ */
+export function parseFieldMapping(payloadType, mappingString) {
+    const mapping = {};
+
+    Object.entries(DEFAULT_FIELD_MAPPINGS[payloadType] || {}).forEach(([key, field]) => {
+        mapping[key] = { field };
+    });
+
+    (mappingString || '')
+        .split(/[,;\n]/)
+        .map((pair) => pair.trim())
+        .filter(Boolean)
+        .forEach((pair) => {
+            const idx = pair.indexOf('=');
+            if (idx <= 0) return;
+
+            const key = pair.substring(0, idx).trim();
+            const value = pair.substring(idx + 1).trim();
+
+            if (!value) {
+                delete mapping[key];
+            } else if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+                mapping[key] = { literal: value.slice(1, -1) };
+            } else {
+                mapping[key] = { field: value };
+            }
+        });
+
+    // Expand a compound Location field into its latitude and longitude components
+    const location = mapping.location;
+    if (payloadType === PAYLOAD_TYPES.GEO && location?.field) {
+        const base = location.field.replace(/__c$/i, '');
+        mapping.latitude = mapping.latitude || { field: `${base}__Latitude__s` };
+        mapping.longitude = mapping.longitude || { field: `${base}__Longitude__s` };
+        delete mapping.location;
+    }
+
+    return mapping;
+}
+
+/**
+ * @param {Object} mapping - Result of parseFieldMapping
+ * @returns {String[]} The record fields referenced by the mapping
+ */
+export function getMappedFieldNames(mapping) {
+    return Object.values(mapping || {})
+        .map((entry) => entry.field)
+        .filter(Boolean);
+}
+
+/**
+ * Build the payload for a type from resolved values
+ * @param {String} payloadType
+ * @param {Object} values - key -> value
+ * @returns {String|null}
+ */
+export function buildPayload(payloadType, values = {}) {
+    switch (payloadType) {
+        case PAYLOAD_TYPES.VCARD:
+            return encodeVCard(values);
+        case PAYLOAD_TYPES.WIFI:
+            return encodeWifi(values);
+        case PAYLOAD_TYPES.EMAIL:
+            return encodeMailto(values);
+        case PAYLOAD_TYPES.SMS:
+            return encodeSms(values);
+        case PAYLOAD_TYPES.PHONE:
+            return encodeTel(values);
+        case PAYLOAD_TYPES.GEO:
+            return encodeGeo(values);
+        case PAYLOAD_TYPES.CALENDAR_EVENT:
+            return encodeCalendarEvent(values);
+        default:
+            return null;
+    }
+}
+
+/******************************
+ * Encoders
+ ******************************/
+
+/**
+ * vCard 3.0 (RFC 2426)
+ */
+export function encodeVCard(values = {}) {
+    const firstName = toText(values.firstName);
+    const lastName = toText(values.lastName);
+    const fullName = toText(values.fullName) || [firstName, lastName].filter(Boolean).join(' ');
+    if (!fullName && !values.organization) return null;
+
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `N:${escapeText(lastName)};${escapeText(firstName)};;;`,
+        `FN:${escapeText(fullName || toText(values.organization))}`
+    ];
+
+    addProperty(lines, 'ORG', values.organization);
+    addProperty(lines, 'TITLE', values.title);
+    addProperty(lines, 'TEL;TYPE=WORK,VOICE', values.phone);
+    addProperty(lines, 'TEL;TYPE=CELL', values.mobilePhone);
+    addProperty(lines, 'EMAIL;TYPE=INTERNET', values.email);
+
+    const address = ['street', 'city', 'state', 'postalCode', 'country'].map((key) => toText(values[key]));
+    if (address.some(Boolean)) {
+        lines.push(`ADR;TYPE=WORK:;;${address.map(escapeText).join(';')}`);
+    }
+
+    addProperty(lines, 'URL', values.website);
+    addProperty(lines, 'NOTE', values.note);
+    lines.push('END:VCARD');
+
+    return lines.map(foldLine).join(CRLF);
+}
+
+/**
+ * WIFI:T:<security>;S:<ssid>;P:<password>;H:<hidden>;;
+ */
+export function encodeWifi(values = {}) {
+    const ssid = toText(values.ssid);
+    if (!ssid) return null;
+
+    const password = toText(values.password);
+    let security = toText(values.security).toUpperCase();
+    if (!password || security === 'NOPASS' || security === 'NONE') {
+        security = 'nopass';
+    } else if (security !== 'WEP') {
+        security = 'WPA';
+    }
+
+    let payload = `WIFI:T:${security};S:${escapeWifi(ssid)};`;
+    if (security !== 'nopass') {
+        payload += `P:${escapeWifi(password)};`;
+    }
+    if (toBoolean(values.hidden)) {
+        payload += 'H:true;';
+    }
+    return `${payload};`;
+}
+
+/**
+ * mailto:<address>?subject=<subject>&body=<body> (RFC 6068)
+ */
+export function encodeMailto(values = {}) {
+    const email = toText(values.email);
+    if (!email) return null;
+
+    const params = [];
+    if (toText(values.subject)) params.push(`subject=${encodeURIComponent(toText(values.subject))}`);
+    if (toText(values.body)) params.push(`body=${encodeURIComponent(toText(values.body))}`);
+
+    const address = encodeURIComponent(email).replace(/%40/g, '@');
+    return `mailto:${address}${params.length ? `?${params.join('&')}` : ''}`;
+}
+
+/**
+ * SMSTO:<number>:<message>
+ */
+export function encodeSms(values = {}) {
+    const phone = normalizePhone(values.phone);
+    if (!phone) return null;
+    return `SMSTO:${phone}:${toText(values.message)}`;
+}
+
+/**
+ * tel:<number> (RFC 3966)
+ */
+export function encodeTel(values = {}) {
+    const phone = normalizePhone(values.phone);
+    return phone ? `tel:${phone}` : null;
+}
+
+/**
+ * geo:<latitude>,<longitude> (RFC 5870)
+ */
+export function encodeGeo(values = {}) {
+    const latitude = toNumber(values.latitude);
+    const longitude = toNumber(values.longitude);
+    if (latitude === null || longitude === null) return null;
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+    return `geo:${latitude},${longitude}`;
+}
+
+/**
+ * iCalendar VEVENT wrapped in a VCALENDAR (RFC 5545)
+ */
+export function encodeCalendarEvent(values = {}) {
+    const start = toDate(values.start);
+    if (!start) return null;
+
+    const allDay = toBoolean(values.allDay);
+    let end = toDate(values.end);
+    if (allDay) {
+        // DTEND is exclusive for all-day events
+        const lastDay = end && end > start ? end : start;
+        end = new Date(Date.UTC(lastDay.getUTCFullYear(), lastDay.getUTCMonth(), lastDay.getUTCDate() + 1));
+    }
+
+    const timestamp = toDate(values.timestamp) || start;
+    const uid = toText(values.uid) || `${formatDateTime(start)}-${hashCode(toText(values.summary))}`;
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'BEGIN:VEVENT',
+        `UID:${escapeText(uid)}`,
+        `DTSTAMP:${formatDateTime(timestamp)}`,
+        allDay ? `DTSTART;VALUE=DATE:${formatDate(start)}` : `DTSTART:${formatDateTime(start)}`
+    ];
+
+    if (end && end > start) {
+        lines.push(allDay ? `DTEND;VALUE=DATE:${formatDate(end)}` : `DTEND:${formatDateTime(end)}`);
+    }
+
+    addProperty(lines, 'SUMMARY', values.summary);
+    addProperty(lines, 'LOCATION', values.location);
+    addProperty(lines, 'DESCRIPTION', values.description);
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+
+    return lines.map(foldLine).join(CRLF);
+}
+
+/******************************
+ * Utilities
+ ******************************/
+
+function addProperty(lines, name, value) {
+    const text = toText(value);
+    if (text) lines.push(`${name}:${escapeText(text)}`);
+}
+
+function toText(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).trim();
+}
+
+function toBoolean(value) {
+    return value === true || toText(value).toLowerCase() === 'true';
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || toText(value) === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+}
+
+function toDate(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Escape TEXT values for vCard and iCalendar
+ */
+export function escapeText(value) {
+    return toText(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Escape special characters in WIFI: fields
+ */
+export function escapeWifi(value) {
+    return toText(value).replace(/([\\;,":])/g, '\\$1');
+}
+
+function normalizePhone(value) {
+    const text = toText(value);
+    if (!text) return '';
+    const digits = text.replace(/[^0-9*#]/g, '');
+    if (!digits) return '';
+    return text.startsWith('+') ? `+${digits}` : digits;
+}
+
+function pad(num, size = 2) {
+    return String(num).padStart(size, '0');
+}
+
+function formatDate(date) {
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+}
+
+function formatDateTime(date) {
+    return `${formatDate(date)}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+function hashCode(value) {
+    let hash = 0;
+    for (let i = 0; i < value.length; i++) {
+        hash = ((hash << 5) - hash + value.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash).toString(36);
+}
+
+function utf8Length(char) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    if (code < 0x10000) return 3;
+    return 4;
+}
+
+/**
+ * Fold content lines longer than 75 octets with CRLF + a single space
+ */
+export function foldLine(line) {
+    let result = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = utf8Length(char);
+        if (octets + size > MAX_LINE_OCTETS) {
+            result += `${CRLF} `;
+            octets = 1;
+        }
+        result += char;
+        octets += size;
+    }
+    return result;
+}
@@ -0,0 +1,196 @@
+import {
+    SCAN_TYPES,
+    toRecordId,
+    parseScannedValue,
+    decodeImageData,
+    detectBarcode,
+    isBarcodeDetectorSupported
+} from 'c/qrCodeScan';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const jsQR = require('../../../staticresources/jsQR');
+
+const RECORD_ID = '003000000000001AAA';
+
+const paeth = (left, up, upLeft) => {
+    const p = left + up - upLeft;
+    const pa = Math.abs(p - left);
+    const pb = Math.abs(p - up);
+    const pc = Math.abs(p - upLeft);
+    if (pa <= pb && pa <= pc) return left;
+    return pb <= pc ? up : upLeft;
+};
+
+// Decode an 8-bit, non-interlaced PNG fixture into RGBA pixels, as a canvas would
+const readFixture = (name) => {
+    const buffer = fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.png`));
+    const idat = [];
+    let width;
+    let height;
+    let colorType;
+    for (let offset = 8; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            width = chunk.readUInt32BE(0);
+            height = chunk.readUInt32BE(4);
+            colorType = chunk[9];
+        } else if (type === 'IDAT') {
+            idat.push(chunk);
+        }
+        offset += length + 12;
+    }
+
+    const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[colorType];
+    const stride = width * channels;
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const pixels = new Uint8Array(stride * height);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        for (let x = 0; x < stride; x++) {
+            const left = x >= channels ? pixels[y * stride + x - channels] : 0;
+            const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+            const upLeft = x >= channels && y > 0 ? pixels[(y - 1) * stride + x - channels] : 0;
+            const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+            pixels[y * stride + x] = (raw[y * (stride + 1) + 1 + x] + predictor) & 0xff;
+        }
+    }
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const px = pixels.subarray(i * channels, i * channels + channels);
+        const [r, g, b] = channels >= 3 ? px : [px[0], px[0], px[0]];
+        data.set([r, g, b, channels % 2 === 0 ? px[channels - 1] : 255], i * 4);
+    }
+    return { data, width, height };
+};
+
+describe('c-qr-code-scan', () => {
+    describe('toRecordId', () => {
+        it('checks 18 character ids and converts 15 character ids when allowed', () => {
+            expect(toRecordId('003000000000001', { allowShortId: true })).toBe(RECORD_ID);
+            expect(toRecordId('001Dn00000AbCdE', { allowShortId: true })).toBe('001Dn00000AbCdEIAV');
+            expect(toRecordId('001Dn00000AbCdEiav')).toBe('001Dn00000AbCdEIAV');
+            expect(toRecordId('001dn00000abcdeIAV')).toBeNull();
+            expect(toRecordId(` ${RECORD_ID} `)).toBe(RECORD_ID);
+        });
+
+        it('rejects anything else', () => {
+            expect(toRecordId('003000000000001AAB')).toBeNull();
+            expect(toRecordId('003000000000001')).toBeNull();
+            expect(toRecordId('ABCDEFGHIJKLMNO')).toBeNull();
+            expect(toRecordId('Table 12')).toBeNull();
+            expect(toRecordId(null)).toBeNull();
+        });
+    });
+
+    describe('parseScannedValue', () => {
+        it('parses raw record ids', () => {
+            expect(parseScannedValue(RECORD_ID)).toEqual({
+                type: SCAN_TYPES.RECORD_ID,
+                text: RECORD_ID,
+                value: RECORD_ID,
+                recordId: RECORD_ID,
+                objectApiName: null,
+                url: null
+            });
+        });
+
+        it('treats 15 character values as text, since order numbers look like ids', () => {
+            expect(parseScannedValue('SO2026000012345')).toMatchObject({
+                type: SCAN_TYPES.TEXT,
+                value: 'SO2026000012345',
+                recordId: null
+            });
+            expect(parseScannedValue('https://example.com/s/check-in?qrv=SO2026000012345').recordId).toBeNull();
+        });
+
+        it('reads the url parameter, with or without a namespace', () => {
+            const result = parseScannedValue(`https://example.com/s/check-in?qrv=${RECORD_ID}`);
+            expect(result.type).toBe(SCAN_TYPES.URL_PARAMETER);
+            expect(result.recordId).toBe(RECORD_ID);
+
+            const custom = parseScannedValue('https://example.com/lightning/n/Check_In?c__ticket=VIP%2012', {
+                urlParamName: 'ticket'
+            });
+            expect(custom.value).toBe('VIP 12');
+            expect(custom.recordId).toBeNull();
+        });
+
+        it('finds record ids in url paths', () => {
+            const lightning = parseScannedValue(`https://example.lightning.force.com/lightning/r/Contact/${RECORD_ID}/view`);
+            expect(lightning.type).toBe(SCAN_TYPES.URL);
+            expect(lightning.objectApiName).toBe('Contact');
+            expect(lightning.recordId).toBe(RECORD_ID);
+
+            const shortId = parseScannedValue('https://example.lightning.force.com/lightning/r/Contact/003000000000001/view');
+            expect(shortId.recordId).toBe(RECORD_ID);
+
+            const community = parseScannedValue(`https://example.my.site.com/s/contact/${RECORD_ID}/jane-doe`);
+            expect(community.recordId).toBe(RECORD_ID);
+            expect(community.objectApiName).toBeNull();
+            expect(parseScannedValue('https://example.my.site.com/s/order/SO2026000012345').recordId).toBeNull();
+        });
+
+        it('keeps other urls and text', () => {
+            expect(parseScannedValue('https://example.com/s/welcome')).toMatchObject({
+                type: SCAN_TYPES.URL,
+                url: 'https://example.com/s/welcome',
+                recordId: null
+            });
+            expect(parseScannedValue('WIFI:S:Guest;;')).toMatchObject({ type: SCAN_TYPES.TEXT, value: 'WIFI:S:Guest;;' });
+        });
+    });
+
+    describe('decodeImageData', () => {
+        it.each([
+            ['record-id', RECORD_ID, SCAN_TYPES.RECORD_ID],
+            ['url-parameter', `https://example.my.site.com/s/check-in?qrv=${RECORD_ID}`, SCAN_TYPES.URL_PARAMETER],
+            ['record-url', `https://example.lightning.force.com/lightning/r/Contact/${RECORD_ID}/view`, SCAN_TYPES.URL],
+            ['brand-colors', `https://example.my.site.com/s/check-in?qrv=${RECORD_ID}`, SCAN_TYPES.URL_PARAMETER],
+            ['text', 'Table 12', SCAN_TYPES.TEXT]
+        ])('decodes the %s fixture', (fixture, expected, type) => {
+            const text = decodeImageData(readFixture(fixture), jsQR);
+
+            expect(text).toBe(expected);
+            expect(parseScannedValue(text).type).toBe(type);
+        });
+
+        it('returns null when there is no QR code', () => {
+            const blank = { data: new Uint8ClampedArray(40 * 40 * 4).fill(255), width: 40, height: 40 };
+            expect(decodeImageData(blank, jsQR)).toBeNull();
+        });
+
+        it('needs jsQR', () => {
+            expect(() => decodeImageData(readFixture('text'), undefined)).toThrow('jsQR is not loaded.');
+        });
+    });
+
+    describe('BarcodeDetector', () => {
+        afterEach(() => {
+            delete window.BarcodeDetector;
+        });
+
+        it('is only used when it supports QR codes', async () => {
+            expect(await isBarcodeDetectorSupported()).toBe(false);
+
+            window.BarcodeDetector = { getSupportedFormats: () => Promise.resolve(['ean_13']) };
+            expect(await isBarcodeDetectorSupported()).toBe(false);
+
+            window.BarcodeDetector.getSupportedFormats = () => Promise.resolve(['qr_code']);
+            expect(await isBarcodeDetectorSupported()).toBe(true);
+        });
+
+        it('returns the first code found', async () => {
+            const detect = jest.fn().mockResolvedValueOnce([{ rawValue: RECORD_ID }]).mockResolvedValueOnce([]);
+            window.BarcodeDetector = jest.fn(() => ({ detect }));
+
+            expect(await detectBarcode({})).toBe(RECORD_ID);
+            expect(await detectBarcode({})).toBeNull();
+            expect(window.BarcodeDetector).toHaveBeenCalledWith({ formats: ['qr_code'] });
+        });
+    });
+});
@@ -0,0 +1,219 @@
+/***********************************************************************
+ * @license
+ * MIT License
+ * Copyright (c) 2026 SerkinSolutions
+ * See the LICENSE file in the project root for full license text.
+ *
+ * @description
+ * Decode QR code images and parse the values created by c/qrCode
+ *
+ * Decoding:
+ *  - BarcodeDetector, where the browser supports QR codes
+ *  - jsQR (static resource) on raw pixels otherwise, which also runs
+ *    offline in tests against fixture images
+ *
+ * Parsing, in order:
+ *  1) A raw 18 character record id with a valid checksum
+ *  2) A URL with the urlParamName parameter (qrv or c__qrv)
+ *  3) A URL with a record id in its path, such as /lightning/r/Contact/003.../view
+ *  4) Any other URL or text
+ *
+ * 15 character ids are only read from /lightning/r/ record paths. Elsewhere
+ * they are text, since order numbers, SKUs and serials often look like them.
+ *
+ * @date 2026
+ * @author SerkinSolutions
+ ***********************************************************************/
+
+export const SCAN_TYPES = {
+    RECORD_ID: 'Record Id',
+    URL_PARAMETER: 'URL Parameter',
+    URL: 'URL',
+    TEXT: 'Text'
+};
+
+const QR_FORMAT = 'qr_code';
+// Larger images are scaled down before decoding with jsQR
+const MAX_DECODE_SIZE = 1024;
+
+const ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+const ID_CHECKSUM_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ012345';
+const URL_PATTERN = /^https?:\/\//i;
+const RECORD_PATH_PATTERN = /\/lightning\/r\/(\w+)\/([a-zA-Z0-9]{15,18})(?:\/|$)/;
+
+/******************************
+ * Parsing
+ ******************************/
+
+/**
+ * @param {String} value
+ * @param {Object} options
+ * @param {Boolean} options.allowShortId - Accept 15 character ids, which have no checksum
+ * @returns {String|null} The 18 character record id, or null if the value is not a record id
+ */
+export function toRecordId(value, { allowShortId = false } = {}) {
+    const id = String(value ?? '').trim();
+    // Record ids always contain digits, which rules out ordinary 15 and 18 letter words
+    if (!ID_PATTERN.test(id) || !/\d/.test(id)) return null;
+    if (id.length === 15 && !allowShortId) return null;
+
+    const id15 = id.substring(0, 15);
+    const checksum = getIdChecksum(id15);
+    if (id.length === 18 && id.substring(15).toUpperCase() !== checksum) return null;
+    return id15 + checksum;
+}
+
+/**
+ * @param {String} text - The decoded QR code value
+ * @param {Object} options
+ * @param {String} options.urlParamName - The URL parameter c/qrCode reads the value from
+ * @returns {{type: String, text: String, value: String, recordId: String, objectApiName: String, url: String}}
+ */
+export function parseScannedValue(text, { urlParamName = 'qrv' } = {}) {
+    const raw = String(text ?? '').trim();
+    const result = { type: SCAN_TYPES.TEXT, text: raw, value: raw, recordId: null, objectApiName: null, url: null };
+
+    const recordId = toRecordId(raw);
+    if (recordId) {
+        return { ...result, type: SCAN_TYPES.RECORD_ID, value: recordId, recordId };
+    }
+
+    const url = parseUrl(raw);
+    if (!url) return result;
+
+    result.url = url.href;
+
+    const paramValue = getParamValue(url.searchParams, (urlParamName || '').trim());
+    if (paramValue) {
+        return {
+            ...result,
+            type: SCAN_TYPES.URL_PARAMETER,
+            value: paramValue,
+            recordId: toRecordId(paramValue)
+        };
+    }
+
+    const pathRecord = getPathRecord(url.pathname);
+    return {
+        ...result,
+        type: SCAN_TYPES.URL,
+        value: url.href,
+        recordId: pathRecord.recordId,
+        objectApiName: pathRecord.objectApiName
+    };
+}
+
+/******************************
+ * Decoding
+ ******************************/
+
+/**
+ * @returns {Promise<Boolean>} Whether BarcodeDetector can read QR codes in this browser
+ */
+export async function isBarcodeDetectorSupported() {
+    const Detector = typeof window !== 'undefined' ? window.BarcodeDetector : undefined;
+    if (!Detector) return false;
+    try {
+        const formats = await Detector.getSupportedFormats();
+        return formats.includes(QR_FORMAT);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * @param {ImageBitmapSource} source - A video, image, canvas or ImageBitmap
+ * @returns {Promise<String|null>} The value of the first QR code found
+ */
+export async function detectBarcode(source) {
+    const detector = new window.BarcodeDetector({ formats: [QR_FORMAT] });
+    const codes = await detector.detect(source);
+    return codes.length ? codes[0].rawValue : null;
+}
+
+/**
+ * @param {{data: Uint8ClampedArray, width: Number, height: Number}} imageData - RGBA pixels
+ * @param {Function} decoder - jsQR, loaded from the static resource by default
+ * @returns {String|null} The value of the QR code found
+ */
+export function decodeImageData(imageData, decoder = window.jsQR) {
+    if (typeof decoder !== 'function') {
+        throw new Error('jsQR is not loaded.');
+    }
+    const code = decoder(imageData.data, imageData.width, imageData.height, {
+        inversionAttempts: 'attemptBoth'
+    });
+    return code ? code.data : null;
+}
+
+/**
+ * Draw a video frame or image onto a canvas to read its pixels
+ * @param {CanvasImageSource} source
+ * @returns {ImageData|null} null if the source has no size yet
+ */
+export function getImageData(source) {
+    const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+    const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+    if (!sourceWidth || !sourceHeight) return null;
+
+    const scale = Math.min(1, MAX_DECODE_SIZE / Math.max(sourceWidth, sourceHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(sourceWidth * scale);
+    canvas.height = Math.round(sourceHeight * scale);
+
+    const context = canvas.getContext('2d');
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/******************************
+ * Utilities
+ ******************************/
+
+// The last 3 characters of an 18 character id encode the case of the first 15
+function getIdChecksum(id15) {
+    let checksum = '';
+    for (let chunk = 0; chunk < 3; chunk++) {
+        let bits = 0;
+        for (let i = 0; i < 5; i++) {
+            const char = id15.charAt(chunk * 5 + i);
+            if (char >= 'A' && char <= 'Z') {
+                bits |= 1 << i;
+            }
+        }
+        checksum += ID_CHECKSUM_CHARS.charAt(bits);
+    }
+    return checksum;
+}
+
+function parseUrl(text) {
+    if (!URL_PATTERN.test(text)) return null;
+    try {
+        return new URL(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Lightning pages prefix URL parameters with a namespace, such as c__qrv
+function getParamValue(searchParams, name) {
+    if (!name) return null;
+    if (searchParams.get(name)) return searchParams.get(name);
+
+    for (const [key, value] of searchParams.entries()) {
+        if (key.endsWith(`__${name}`) && value) return value;
+    }
+    return null;
+}
+
+function getPathRecord(pathname) {
+    const match = pathname.match(RECORD_PATH_PATTERN);
+    const pathId = match ? toRecordId(match[2], { allowShortId: true }) : null;
+    if (pathId) {
+        return { objectApiName: match[1], recordId: pathId };
+    }
+
+    // Classic (/003...) and Experience Cloud (/s/contact/003.../jane-doe) record URLs
+    const recordId = pathname.split('/').map((segment) => toRecordId(segment)).filter(Boolean).pop();
+    return { objectApiName: null, recordId: recordId || null };
+}
@@ -0,0 +1,143 @@
+import {
+    contrastRatio,
+    getRequiredBits,
+    getMinimumVersion,
+    detectMode,
+    checkScannability,
+    SAFE_DOTS_COLOR,
+    SAFE_BACKGROUND_COLOR
+} from 'c/qrCodeScannability';
+import { buildQrCodeOptions } from 'c/qrCodeOptions';
+
+describe('c-qr-code-scannability', () => {
+    describe('contrastRatio', () => {
+        it('follows the WCAG formula', () => {
+            expect(contrastRatio('#000000', '#ffffff')).toBeCloseTo(21);
+            expect(contrastRatio('#ffffff', '#ffffff')).toBeCloseTo(1);
+            expect(contrastRatio('#777777', '#ffffff')).toBeCloseTo(4.48, 2);
+        });
+
+        it('returns null for invalid colors', () => {
+            expect(contrastRatio('black', '#ffffff')).toBeNull();
+        });
+    });
+
+    describe('capacity', () => {
+        it('detects the mode qr-code-styling would pick', () => {
+            expect(detectMode('12345')).toBe('Numeric');
+            expect(detectMode('HELLO WORLD')).toBe('Alphanumeric');
+            expect(detectMode('Hello')).toBe('Byte');
+        });
+
+        it('counts the bits for each mode', () => {
+            // 4 mode bits + character count + data
+            expect(getRequiredBits('12345678', 'Numeric', 1)).toBe(4 + 10 + 27);
+            expect(getRequiredBits('HELLO', 'Alphanumeric', 1)).toBe(4 + 9 + 28);
+            expect(getRequiredBits('hello', 'Byte', 10)).toBe(4 + 16 + 40);
+        });
+
+        it('finds the smallest version that fits', () => {
+            // Version 1-L holds 17 bytes
+            expect(getMinimumVersion('a'.repeat(17), 'Byte', 'L')).toBe(1);
+            expect(getMinimumVersion('a'.repeat(18), 'Byte', 'L')).toBe(2);
+            expect(getMinimumVersion('a'.repeat(3000), 'Byte', 'L')).toBeNull();
+        });
+    });
+
+    describe('checkScannability', () => {
+        it('passes the default options', () => {
+            const result = checkScannability(buildQrCodeOptions({}, 'hello'));
+
+            expect(result.issues).toEqual([]);
+            expect(result.canRender).toBe(true);
+        });
+
+        it('warns about low contrast and keeps the colors without fallback', () => {
+            const options = buildQrCodeOptions({ qrCodeDotsColor: '#dddddd', backgroundColor: '#ffffff' }, 'hello');
+            const result = checkScannability(options);
+
+            expect(result.issues.map((issue) => issue.type)).toEqual(['contrast']);
+            expect(result.issues[0].message).toContain('1.4:1');
+            expect(result.options.dotsOptions.color).toBe('#dddddd');
+        });
+
+        it('falls back to black on white when the contrast is too low', () => {
+            const options = buildQrCodeOptions({
+                qrCodeDotsColor: '#dddddd',
+                dotsGradientType: 'Linear',
+                dotsGradientColors: '#eeeeee, #dddddd',
+                cornersSquareColor: '#eeeeee'
+            }, 'hello');
+            const result = checkScannability(options, { fallback: true });
+
+            expect(result.options.dotsOptions).toEqual({ color: SAFE_DOTS_COLOR, type: 'rounded' });
+            expect(result.options.cornersSquareOptions.color).toBe(SAFE_DOTS_COLOR);
+            expect(result.options.backgroundOptions.color).toBe(SAFE_BACKGROUND_COLOR);
+            // The original options are left untouched
+            expect(options.dotsOptions.gradient).toBeDefined();
+        });
+
+        it('checks gradient stops against the background', () => {
+            const options = buildQrCodeOptions({
+                dotsGradientType: 'Radial',
+                dotsGradientColors: '#000000, #cccccc'
+            }, 'hello');
+
+            expect(checkScannability(options).issues.map((issue) => issue.type)).toEqual(['contrast']);
+        });
+
+        it('warns about light dots on a dark background', () => {
+            const options = buildQrCodeOptions({ qrCodeDotsColor: '#ffffff', backgroundColor: '#000000' }, 'hello');
+            const result = checkScannability(options, { fallback: true });
+
+            expect(result.issues[0].message).toContain('Light dots');
+            expect(result.options.dotsOptions.color).toBe('#ffffff');
+        });
+
+        it('shrinks logos larger than half the code', () => {
+            const options = buildQrCodeOptions({ logoUrl: 'https://example.com/logo.png', logoImageSize: 0.8 }, 'hello');
+
+            expect(checkScannability(options).options.imageOptions.imageSize).toBe(0.8);
+
+            const result = checkScannability(options, { fallback: true });
+            expect(result.issues.map((issue) => issue.type)).toEqual(['logo']);
+            expect(result.issues[0].message).toContain('A logo size of 0.8 hides too many modules');
+            expect(result.issues[0].message).toContain('0.5 or smaller');
+            expect(result.options.imageOptions.imageSize).toBe(0.5);
+        });
+
+        it('limits the logo size the same way at every error correction level', () => {
+            const options = buildQrCodeOptions({ logoUrl: 'https://example.com/logo.png', logoImageSize: 0.5 }, 'hello');
+            options.qrOptions.errorCorrectionLevel = 'L';
+
+            expect(checkScannability(options).issues).toEqual([]);
+
+            options.imageOptions.imageSize = 0.6;
+            expect(checkScannability(options).issues.map((issue) => issue.type)).toEqual(['logo']);
+        });
+
+        it('raises a version that is too small', () => {
+            const options = buildQrCodeOptions({ qrVersion: 1, errorCorrectionLevel: 'L' }, 'a'.repeat(30));
+            const result = checkScannability(options);
+
+            expect(result.issues.map((issue) => issue.type)).toEqual(['capacity']);
+            expect(result.options.qrOptions.typeNumber).toBe(2);
+            expect(result.canRender).toBe(true);
+        });
+
+        it('lowers the error correction level for long values', () => {
+            const options = buildQrCodeOptions({ errorCorrectionLevel: 'H' }, 'a'.repeat(1500));
+            const result = checkScannability(options);
+
+            expect(result.options.qrOptions.errorCorrectionLevel).toBe('Q');
+            expect(result.canRender).toBe(true);
+        });
+
+        it('cannot render values too long for any QR code', () => {
+            const result = checkScannability(buildQrCodeOptions({}, 'a'.repeat(3000)));
+
+            expect(result.issues[0].message).toContain('too long for a QR code');
+            expect(result.canRender).toBe(false);
+        });
+    });
+});
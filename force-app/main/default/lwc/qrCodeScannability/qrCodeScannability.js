@@ -0,0 +1,306 @@
+/***********************************************************************
+ * @license
+ * MIT License
+ * Copyright (c) 2026 SerkinSolutions
+ * See the LICENSE file in the project root for full license text.
+ *
+ * @description
+ * Scannability checks for qr-code-styling options built by c/qrCodeOptions
+ *
+ *  - Contrast: WCAG contrast ratio between the foreground colors (dots,
+ *    corners, gradient stops) and the background colors
+ *  - Logo size: logos over half the code hide too many modules to scan
+ *    reliably, whatever the error correction level
+ *  - Capacity: whether the value fits the QR version and error correction level
+ *
+ * With fallback enabled, options that are likely to fail are replaced with
+ * safe settings. Capacity problems are always corrected where possible,
+ * since qr-code-styling cannot draw a value that overflows the code.
+ *
+ * @date 2026
+ * @author SerkinSolutions
+ ***********************************************************************/
+import {
+    ERROR_CORRECTION_LEVELS,
+    normalizeColor,
+    isDataValidForMode
+} from 'c/qrCodeOptions';
+
+export const MIN_CONTRAST_RATIO = 4.5;
+export const MIN_SAFE_CONTRAST_RATIO = 3;
+export const MAX_LOGO_SIZE = 0.5;
+export const SAFE_DOTS_COLOR = '#000000';
+export const SAFE_BACKGROUND_COLOR = '#ffffff';
+
+const MAX_VERSION = 40;
+
+// Data codewords for versions 1-40 at error correction levels L, M, Q, H
+const DATA_CODEWORDS = [
+    [19, 16, 13, 9], [34, 28, 22, 16], [55, 44, 34, 26], [80, 64, 48, 36],
+    [108, 86, 62, 46], [136, 108, 76, 60], [156, 124, 88, 66], [194, 154, 110, 86],
+    [232, 182, 132, 100], [274, 216, 154, 122], [324, 254, 180, 140], [370, 290, 206, 158],
+    [428, 334, 244, 180], [461, 365, 261, 197], [523, 415, 295, 223], [589, 453, 325, 253],
+    [647, 507, 367, 283], [721, 563, 397, 313], [795, 627, 445, 341], [861, 669, 485, 385],
+    [932, 714, 512, 406], [1006, 782, 568, 442], [1094, 860, 614, 464], [1174, 914, 664, 514],
+    [1276, 1000, 718, 538], [1370, 1062, 754, 596], [1468, 1128, 808, 628], [1531, 1193, 871, 661],
+    [1631, 1267, 911, 701], [1735, 1373, 985, 745], [1843, 1455, 1033, 793], [1955, 1541, 1115, 845],
+    [2071, 1631, 1171, 901], [2191, 1725, 1231, 961], [2306, 1812, 1286, 986], [2434, 1914, 1354, 1054],
+    [2566, 1992, 1426, 1096], [2702, 2102, 1502, 1142], [2812, 2216, 1582, 1222], [2956, 2334, 1666, 1276]
+];
+
+// Bits of the character count indicator for versions 1-9, 10-26 and 27-40
+const CHAR_COUNT_BITS = {
+    Numeric: [10, 12, 14],
+    Alphanumeric: [9, 11, 13],
+    Byte: [8, 16, 16]
+};
+const MODE_INDICATOR_BITS = 4;
+
+/******************************
+ * Contrast
+ ******************************/
+
+/**
+ * @param {String} color - Hex color; any alpha channel is ignored
+ * @returns {Number|null} WCAG relative luminance from 0 to 1, or null if invalid
+ */
+export function relativeLuminance(color) {
+    const hex = normalizeColor(color);
+    if (!hex) return null;
+
+    const [r, g, b] = [1, 3, 5].map((i) => {
+        const channel = parseInt(hex.substring(i, i + 2), 16) / 255;
+        return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * @returns {Number|null} WCAG contrast ratio from 1 to 21, or null if either color is invalid
+ */
+export function contrastRatio(colorA, colorB) {
+    const a = relativeLuminance(colorA);
+    const b = relativeLuminance(colorB);
+    if (a === null || b === null) return null;
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+/******************************
+ * Capacity
+ ******************************/
+
+/**
+ * @param {String} data
+ * @returns {String} The mode qr-code-styling picks when none is set
+ */
+export function detectMode(data) {
+    return ['Numeric', 'Alphanumeric'].find((mode) => isDataValidForMode(mode, data)) || 'Byte';
+}
+
+/**
+ * @param {String} data
+ * @param {String} mode - Numeric, Alphanumeric or Byte; detected when blank
+ * @param {Number} version - 1 to 40
+ * @returns {Number} Bits needed to encode the data
+ */
+export function getRequiredBits(data, mode, version) {
+    const value = toText(data);
+    const effectiveMode = CHAR_COUNT_BITS[mode] ? mode : detectMode(value);
+    const countBits = CHAR_COUNT_BITS[effectiveMode][version < 10 ? 0 : version < 27 ? 1 : 2];
+    return MODE_INDICATOR_BITS + countBits + getDataBits(value, effectiveMode);
+}
+
+/**
+ * @returns {Number} Data bits available at the version and error correction level
+ */
+export function getCapacityBits(version, errorCorrectionLevel) {
+    const level = Math.max(ERROR_CORRECTION_LEVELS.indexOf(errorCorrectionLevel), 0);
+    return DATA_CODEWORDS[version - 1][level] * 8;
+}
+
+/**
+ * @returns {Number|null} The smallest version that fits the data, or null if it is too long for any version
+ */
+export function getMinimumVersion(data, mode, errorCorrectionLevel) {
+    for (let version = 1; version <= MAX_VERSION; version++) {
+        if (getRequiredBits(data, mode, version) <= getCapacityBits(version, errorCorrectionLevel)) {
+            return version;
+        }
+    }
+    return null;
+}
+
+/******************************
+ * Validation
+ ******************************/
+
+/**
+ * @param {Object} options - qr-code-styling options from buildQrCodeOptions
+ * @param {Object} config
+ * @param {Boolean} config.fallback - Replace settings that are likely to fail with safe ones
+ * @returns {{options: Object, issues: Array<{type: String, message: String}>, canRender: Boolean}}
+ * The options to draw, any problems found and whether the value fits in a QR code at all
+ */
+export function checkScannability(options, { fallback = false } = {}) {
+    const safe = {
+        ...options,
+        dotsOptions: { ...options.dotsOptions },
+        backgroundOptions: { ...options.backgroundOptions },
+        cornersSquareOptions: { ...options.cornersSquareOptions },
+        cornersDotOptions: { ...options.cornersDotOptions },
+        qrOptions: { ...options.qrOptions }
+    };
+    if (options.imageOptions) {
+        safe.imageOptions = { ...options.imageOptions };
+    }
+
+    const issues = [
+        ...checkContrast(safe, fallback),
+        ...checkLogo(safe, fallback)
+    ];
+    const capacity = checkCapacity(safe);
+
+    return {
+        options: safe,
+        issues: [...issues, ...capacity.issues],
+        canRender: capacity.canRender
+    };
+}
+
+function checkContrast(options, fallback) {
+    const foreground = [
+        ...getColors(options.dotsOptions),
+        ...getColors(options.cornersSquareOptions),
+        ...getColors(options.cornersDotOptions)
+    ];
+    const background = getColors(options.backgroundOptions);
+
+    let ratio = null;
+    let inverted = false;
+    foreground.forEach((fg) => {
+        background.forEach((bg) => {
+            const pairRatio = contrastRatio(fg, bg);
+            if (pairRatio !== null && (ratio === null || pairRatio < ratio)) {
+                ratio = pairRatio;
+            }
+            inverted = inverted || relativeLuminance(fg) > relativeLuminance(bg);
+        });
+    });
+
+    const issues = [];
+    if (ratio !== null && ratio < MIN_CONTRAST_RATIO) {
+        issues.push({
+            type: 'contrast',
+            message: `The QR code colors have a contrast ratio of ${ratio.toFixed(1)}:1. `
+                + `Use at least ${MIN_CONTRAST_RATIO}:1 so phones can scan the code.`
+        });
+        if (fallback && ratio < MIN_SAFE_CONTRAST_RATIO) {
+            [options.dotsOptions, options.cornersSquareOptions, options.cornersDotOptions].forEach((part) => {
+                part.color = SAFE_DOTS_COLOR;
+                delete part.gradient;
+            });
+            options.backgroundOptions.color = SAFE_BACKGROUND_COLOR;
+            delete options.backgroundOptions.gradient;
+        }
+    } else if (inverted) {
+        issues.push({
+            type: 'contrast',
+            message: 'Light dots on a dark background cannot be read by every scanner app. '
+                + 'Use dots darker than the background.'
+        });
+    }
+    return issues;
+}
+
+function checkLogo(options, fallback) {
+    if (!options.image || !options.imageOptions) return [];
+
+    // qr-code-styling hides imageSize * the error correction percent of the modules,
+    // so the level cannot make room for a larger logo
+    const size = Number(options.imageOptions.imageSize) || 0;
+    if (size <= MAX_LOGO_SIZE) return [];
+
+    if (fallback) {
+        options.imageOptions.imageSize = MAX_LOGO_SIZE;
+    }
+    return [{
+        type: 'logo',
+        message: `A logo size of ${size} hides too many modules to scan reliably. `
+            + `Use a logo size of ${MAX_LOGO_SIZE} or smaller.`
+    }];
+}
+
+function checkCapacity(options) {
+    const data = toText(options.data);
+    const { mode, typeNumber } = options.qrOptions;
+    const level = options.qrOptions.errorCorrectionLevel;
+
+    let minimumVersion = getMinimumVersion(data, mode, level);
+    if (minimumVersion) {
+        if (!typeNumber || typeNumber >= minimumVersion) {
+            return { issues: [], canRender: true };
+        }
+        options.qrOptions.typeNumber = minimumVersion;
+        return {
+            issues: [{
+                type: 'capacity',
+                message: `The value needs QR version ${minimumVersion} or higher at error correction level `
+                    + `${level}, but version ${typeNumber} is selected. Version ${minimumVersion} is used instead.`
+            }],
+            canRender: true
+        };
+    }
+
+    // Trade error correction for capacity before giving up
+    const lowerLevels = ERROR_CORRECTION_LEVELS.slice(0, ERROR_CORRECTION_LEVELS.indexOf(level)).reverse();
+    const fallbackLevel = lowerLevels.find((l) => getMinimumVersion(data, mode, l));
+    if (fallbackLevel) {
+        minimumVersion = getMinimumVersion(data, mode, fallbackLevel);
+        options.qrOptions.errorCorrectionLevel = fallbackLevel;
+        options.qrOptions.typeNumber = typeNumber ? Math.max(typeNumber, minimumVersion) : typeNumber;
+        return {
+            issues: [{
+                type: 'capacity',
+                message: `The value is too long for error correction level ${level}. `
+                    + `Level ${fallbackLevel} is used instead, so the code is less resistant to damage.`
+            }],
+            canRender: true
+        };
+    }
+
+    const maxBits = getCapacityBits(MAX_VERSION, ERROR_CORRECTION_LEVELS[0]);
+    return {
+        issues: [{
+            type: 'capacity',
+            message: `The value is too long for a QR code: it needs ${getRequiredBits(data, mode, MAX_VERSION)} bits `
+                + `and the largest code holds ${maxBits}. Shorten the value.`
+        }],
+        canRender: false
+    };
+}
+
+/******************************
+ * Utilities
+ ******************************/
+
+function getDataBits(value, mode) {
+    const length = value.length;
+    switch (mode) {
+        case 'Numeric':
+            return Math.floor(length / 3) * 10 + [0, 4, 7][length % 3];
+        case 'Alphanumeric':
+            return Math.floor(length / 2) * 11 + (length % 2) * 6;
+        default:
+            // qr-code-styling writes one byte per character
+            return length * 8;
+    }
+}
+
+function getColors(part = {}) {
+    const stops = part.gradient?.colorStops || [];
+    return stops.length ? stops.map((stop) => stop.color) : [part.color].filter(Boolean);
+}
+
+function toText(data) {
+    return data === null || data === undefined ? '' : String(data);
+}
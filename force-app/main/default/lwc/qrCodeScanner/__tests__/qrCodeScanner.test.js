@@ -0,0 +1,168 @@
+import { createElement } from '@lwc/engine-dom';
+import QrCodeScanner from 'c/qrCodeScanner';
+import { loadScript } from 'lightning/platformResourceLoader';
+
+const mockNavigate = jest.fn();
+
+jest.mock('lightning/navigation', () => {
+    const Navigate = Symbol('Navigate');
+    const NavigationMixin = (Base) => class extends Base {
+        [Navigate](pageReference) {
+            mockNavigate(pageReference);
+        }
+    };
+    NavigationMixin.Navigate = Navigate;
+    return { NavigationMixin };
+});
+
+jest.mock('lightning/platformResourceLoader', () => ({
+    loadScript: jest.fn(() => Promise.resolve())
+}));
+
+const RECORD_ID = '003000000000001AAA';
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const createScanner = (props = {}) => {
+    const element = createElement('c-qr-code-scanner', {
+        is: QrCodeScanner
+    });
+    Object.assign(element, props);
+    document.body.appendChild(element);
+    return element;
+};
+
+const mockBarcodeDetector = (rawValue) => {
+    window.BarcodeDetector = jest.fn(() => ({
+        detect: jest.fn(() => Promise.resolve(rawValue ? [{ rawValue }] : []))
+    }));
+    window.BarcodeDetector.getSupportedFormats = () => Promise.resolve(['qr_code']);
+};
+
+const uploadImage = async (element) => {
+    const input = element.shadowRoot.querySelector('.file-input');
+    input.dispatchEvent(new CustomEvent('change', { detail: { files: [new Blob(['img'])] } }));
+    await flushPromises();
+    await flushPromises();
+};
+
+describe('c-qr-code-scanner', () => {
+    let track;
+
+    beforeEach(() => {
+        track = { stop: jest.fn() };
+        navigator.mediaDevices = {
+            getUserMedia: jest.fn(() => Promise.resolve({ getTracks: () => [track] }))
+        };
+        window.HTMLMediaElement.prototype.play = jest.fn(() => Promise.resolve());
+        global.createImageBitmap = jest.fn(() => Promise.resolve({ width: 75, height: 75 }));
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+        delete navigator.mediaDevices;
+        delete window.BarcodeDetector;
+        delete window.jsQR;
+        delete global.createImageBitmap;
+    });
+
+    it('scans with the camera and opens the record', async () => {
+        mockBarcodeDetector(`https://example.my.site.com/s/check-in?qrv=${RECORD_ID}`);
+        const element = createScanner();
+        const scanHandler = jest.fn();
+        element.addEventListener('scan', scanHandler);
+
+        element.shadowRoot.querySelector('.camera-button').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({
+            video: { facingMode: 'environment' },
+            audio: false
+        });
+        expect(scanHandler.mock.calls[0][0].detail).toMatchObject({ type: 'URL Parameter', recordId: RECORD_ID });
+        expect(mockNavigate).toHaveBeenCalledWith({
+            type: 'standard__recordPage',
+            attributes: { recordId: RECORD_ID, objectApiName: undefined, actionName: 'view' }
+        });
+        expect(track.stop).toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.scanned-value').textContent).toBe(RECORD_ID);
+    });
+
+    it('only fires the event when configured', async () => {
+        mockBarcodeDetector(RECORD_ID);
+        const element = createScanner({ scanAction: 'Fire Event Only' });
+        const scanHandler = jest.fn();
+        element.addEventListener('scan', scanHandler);
+
+        await uploadImage(element);
+
+        expect(scanHandler).toHaveBeenCalledTimes(1);
+        expect(mockNavigate).not.toHaveBeenCalled();
+    });
+
+    it('sets the flow outputs and goes to the next screen', async () => {
+        mockBarcodeDetector(`https://example.lightning.force.com/lightning/r/Contact/${RECORD_ID}/view`);
+        const element = createScanner({ advanceOnScan: true, availableActions: ['NEXT'] });
+        const flowChangeHandler = jest.fn();
+        const flowNextHandler = jest.fn();
+        element.addEventListener('lightning__flowattributechange', flowChangeHandler);
+        element.addEventListener('lightning__flownavigationnext', flowNextHandler);
+
+        await uploadImage(element);
+
+        expect(element.scannedRecordId).toBe(RECORD_ID);
+        expect(element.scanType).toBe('URL');
+        expect(flowChangeHandler).toHaveBeenCalledTimes(4);
+        expect(flowNextHandler).toHaveBeenCalledTimes(1);
+        expect(mockNavigate).not.toHaveBeenCalled();
+    });
+
+    it('decodes uploaded images with jsQR when BarcodeDetector is not available', async () => {
+        window.jsQR = jest.fn(() => ({ data: 'Table 12' }));
+        const getContext = jest.spyOn(window.HTMLCanvasElement.prototype, 'getContext').mockReturnValue({
+            drawImage: jest.fn(),
+            getImageData: jest.fn((x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4), width, height }))
+        });
+        const element = createScanner();
+
+        await uploadImage(element);
+
+        expect(loadScript).toHaveBeenCalled();
+        expect(window.jsQR).toHaveBeenCalledWith(expect.any(Uint8ClampedArray), 75, 75, expect.any(Object));
+        expect(element.scannedText).toBe('Table 12');
+        expect(mockNavigate).not.toHaveBeenCalled();
+        getContext.mockRestore();
+    });
+
+    it('shows an error when no code is found', async () => {
+        mockBarcodeDetector(null);
+        const element = createScanner();
+
+        await uploadImage(element);
+
+        expect(element.shadowRoot.querySelector('.error').textContent).toBe('No QR code was found in the image.');
+    });
+
+    it('shows an error when the camera is blocked', async () => {
+        navigator.mediaDevices.getUserMedia.mockRejectedValue(new Error('Permission denied'));
+        const element = createScanner();
+
+        element.shadowRoot.querySelector('.camera-button').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.error').textContent).toContain('Permission denied');
+    });
+
+    it('hides the camera button without camera support', async () => {
+        delete navigator.mediaDevices;
+        const element = createScanner();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.camera-button')).toBeNull();
+        expect(element.shadowRoot.querySelector('.file-input')).not.toBeNull();
+    });
+});
@@ -0,0 +1,235 @@
+/***********************************************************************
+ * @license
+ * MIT License
+ * Copyright (c) 2026 SerkinSolutions
+ * See the LICENSE file in the project root for full license text.
+ *
+ * @description
+ * Scan QR codes created by c/qrCode and resolve them back to records
+ *
+ * Input:
+ *  - Camera (getUserMedia), decoded with BarcodeDetector where the browser
+ *    supports QR codes, or with jsQR otherwise
+ *  - An uploaded image, for devices without a camera
+ *
+ * After a scan (see c/qrCodeScan for parsing):
+ *  - A "scan" event is dispatched with the parsed result
+ *  - scanAction = "Navigate to Record" opens the scanned record, if any
+ *  - In Flow, the result is set on the output properties and the flow can
+ *    advance to the next screen (advanceOnScan)
+ *
+ * @date 2026
+ * @author SerkinSolutions
+ ***********************************************************************/
+import { LightningElement, api } from 'lwc';
+import { NavigationMixin } from 'lightning/navigation';
+import { loadScript } from 'lightning/platformResourceLoader';
+import { FlowAttributeChangeEvent, FlowNavigationNextEvent } from 'lightning/flowSupport';
+import JsQrLib from '@salesforce/resourceUrl/jsQR';
+import {
+    parseScannedValue,
+    isBarcodeDetectorSupported,
+    detectBarcode,
+    decodeImageData,
+    getImageData
+} from 'c/qrCodeScan';
+import { reduceError } from 'c/qrCodeUtils';
+
+const SCAN_ACTIONS = {
+    NAVIGATE: 'Navigate to Record',
+    EVENT: 'Fire Event Only'
+};
+const SCAN_INTERVAL_MS = 250;
+const FLOW_OUTPUTS = ['scannedText', 'scannedValue', 'scannedRecordId', 'scanType'];
+
+export default class QrCodeScanner extends NavigationMixin(LightningElement) {
+    @api urlParamName = 'qrv';
+    @api scanAction = SCAN_ACTIONS.NAVIGATE;
+    @api advanceOnScan;
+    @api availableActions = [];
+
+    result;
+    error;
+    isScanning = false;
+    isDecoding = false;
+
+    stream;
+    scanTimeout;
+    useBarcodeDetector;
+    jsQrLoaded;
+
+    /******************************
+     * Flow outputs
+     ******************************/
+
+    @api
+    get scannedText() {
+        return this.result?.text || null;
+    }
+
+    @api
+    get scannedValue() {
+        return this.result?.value || null;
+    }
+
+    @api
+    get scannedRecordId() {
+        return this.result?.recordId || null;
+    }
+
+    @api
+    get scanType() {
+        return this.result?.type || null;
+    }
+
+    /******************************
+     * Computed values
+     ******************************/
+
+    get hasCamera() {
+        return !!navigator.mediaDevices?.getUserMedia;
+    }
+
+    get videoClass() {
+        return this.isScanning ? 'camera slds-var-m-bottom_small' : 'camera slds-hide';
+    }
+
+    get hasResult() {
+        return !!this.result;
+    }
+
+    /******************************
+     * Lifecycle hooks
+     ******************************/
+
+    disconnectedCallback() {
+        this.stopCamera();
+    }
+
+    /******************************
+     * Event handlers
+     ******************************/
+
+    async handleStartCamera() {
+        this.error = undefined;
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: 'environment' },
+                audio: false
+            });
+            const video = this.template.querySelector('video');
+            video.srcObject = this.stream;
+            await video.play();
+
+            this.isScanning = true;
+            this.scanFrame();
+        } catch (error) {
+            this.stopCamera();
+            this.error = `The camera is not available: ${reduceError(error)}`;
+        }
+    }
+
+    handleStopCamera() {
+        this.stopCamera();
+    }
+
+    async handleFileChange(event) {
+        const file = event.detail.files?.[0] || event.target.files?.[0];
+        if (!file) return;
+
+        this.error = undefined;
+        this.isDecoding = true;
+        try {
+            const image = await createImageBitmap(file);
+            const text = await this.decode(image);
+            if (text) {
+                this.handleScan(text);
+            } else {
+                this.error = 'No QR code was found in the image.';
+            }
+        } catch (error) {
+            this.error = `The image could not be read: ${reduceError(error)}`;
+        } finally {
+            this.isDecoding = false;
+        }
+    }
+
+    /******************************
+     * Scanning
+     ******************************/
+
+    async scanFrame() {
+        if (!this.isScanning) return;
+
+        let text = null;
+        try {
+            text = await this.decode(this.template.querySelector('video'));
+        } catch (error) {
+            // Frames can fail while the camera starts; keep scanning
+        }
+
+        if (!this.isScanning) return;
+        if (text) {
+            this.stopCamera();
+            this.handleScan(text);
+            return;
+        }
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.scanTimeout = setTimeout(() => this.scanFrame(), SCAN_INTERVAL_MS);
+    }
+
+    /**
+     * @param {CanvasImageSource} source - The camera video or an uploaded image
+     * @returns {Promise<String|null>} The decoded QR code value
+     */
+    async decode(source) {
+        if (this.useBarcodeDetector === undefined) {
+            this.useBarcodeDetector = await isBarcodeDetectorSupported();
+        }
+        if (this.useBarcodeDetector) {
+            return detectBarcode(source);
+        }
+
+        if (!this.jsQrLoaded) {
+            await loadScript(this, JsQrLib);
+            this.jsQrLoaded = true;
+        }
+        const imageData = getImageData(source);
+        return imageData ? decodeImageData(imageData) : null;
+    }
+
+    handleScan(text) {
+        this.result = parseScannedValue(text, { urlParamName: this.urlParamName });
+
+        FLOW_OUTPUTS.forEach((name) => {
+            this.dispatchEvent(new FlowAttributeChangeEvent(name, this[name]));
+        });
+        this.dispatchEvent(new CustomEvent('scan', { detail: { ...this.result } }));
+
+        if (this.advanceOnScan && (this.availableActions || []).includes('NEXT')) {
+            this.dispatchEvent(new FlowNavigationNextEvent());
+            return;
+        }
+
+        if (this.scanAction === SCAN_ACTIONS.NAVIGATE && this.result.recordId) {
+            this[NavigationMixin.Navigate]({
+                type: 'standard__recordPage',
+                attributes: {
+                    recordId: this.result.recordId,
+                    objectApiName: this.result.objectApiName || undefined,
+                    actionName: 'view'
+                }
+            });
+        }
+    }
+
+    stopCamera() {
+        clearTimeout(this.scanTimeout);
+        this.isScanning = false;
+        if (this.stream) {
+            this.stream.getTracks().forEach((track) => track.stop());
+            this.stream = null;
+        }
+    }
+
+}
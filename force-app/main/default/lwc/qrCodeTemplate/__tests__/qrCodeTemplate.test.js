@@ -0,0 +1,68 @@
+import { getTemplateFieldNames, mergeTemplate, formatValue } from 'c/qrCodeTemplate';
+
+const values = {
+    Id: '001000000000001AAA',
+    Name: 'Acme & Sons',
+    'Account.Name': 'Parent Co',
+    Amount: null
+};
+const resolve = (field) => values[field];
+
+describe('c-qr-code-template', () => {
+    describe('getTemplateFieldNames', () => {
+        it('returns unique field and relationship paths', () => {
+            expect(getTemplateFieldNames('x?id={!Id}&ref={! Account.Name }&again={!Id}'))
+                .toEqual(['Id', 'Account.Name']);
+        });
+
+        it('returns an empty list for blank templates', () => {
+            expect(getTemplateFieldNames(null)).toEqual([]);
+            expect(getTemplateFieldNames('no tokens')).toEqual([]);
+        });
+    });
+
+    describe('mergeTemplate', () => {
+        it('merges field and relationship values', () => {
+            expect(mergeTemplate('https://site.com/checkin?id={!Id}&ref={!Account.Name}', resolve))
+                .toBe('https://site.com/checkin?id=001000000000001AAA&ref=Parent Co');
+        });
+
+        it('url-encodes merged values only', () => {
+            expect(mergeTemplate('https://site.com/?n={!Name}', resolve, { encode: true }))
+                .toBe('https://site.com/?n=Acme%20%26%20Sons');
+        });
+
+        it('returns null when a value is missing', () => {
+            expect(mergeTemplate('{!Id}-{!Amount}', resolve)).toBeNull();
+            expect(mergeTemplate('{!Id}-{!Unknown}', resolve)).toBeNull();
+        });
+
+        it('merges blanks for missing values when allowed', () => {
+            expect(mergeTemplate('{!Id}-{!Amount}', resolve, { allowMissing: true })).toBe('001000000000001AAA-');
+        });
+
+        it('returns null for blank templates', () => {
+            expect(mergeTemplate('  ', resolve)).toBeNull();
+        });
+    });
+
+    describe('formatValue', () => {
+        it('formats numbers in the user locale', () => {
+            expect(formatValue(1234567.5)).toBe(new Intl.NumberFormat('en-US').format(1234567.5));
+        });
+
+        it('formats dates without shifting the day', () => {
+            expect(formatValue('2026-03-01')).toBe('3/1/26');
+        });
+
+        it('formats date/times', () => {
+            expect(formatValue('2026-03-01T15:00:00.000Z')).toMatch(/^3\/1\/26, \d{1,2}:\d{2}/);
+        });
+
+        it('returns other values as text', () => {
+            expect(formatValue(true)).toBe('true');
+            expect(formatValue('abc')).toBe('abc');
+            expect(formatValue(null)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,82 @@
+/***********************************************************************
+ * @license
+ * MIT License
+ * Copyright (c) 2026 SerkinSolutions
+ * See the LICENSE file in the project root for full license text.
+ *
+ * @description
+ * Parse and merge {!Field} and {!Relationship.Field} tokens in templates
+ *
+ * Example: https://site.com/checkin?id={!Id}&ref={!Account.Name}
+ *
+ * @date 2026
+ * @author SerkinSolutions
+ ***********************************************************************/
+import LOCALE from '@salesforce/i18n/locale';
+import TIME_ZONE from '@salesforce/i18n/timeZone';
+
+const TOKEN_PATTERN = /\{!\s*([\w.]+)\s*\}/g;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+/**
+ * @param {String} template
+ * @returns {String[]} Unique field paths referenced by the template, in order
+ */
+export function getTemplateFieldNames(template) {
+    if (!template) return [];
+    const names = [...template.matchAll(TOKEN_PATTERN)].map((match) => match[1]);
+    return [...new Set(names)];
+}
+
+/**
+ * Replace tokens in a template
+ * @param {String} template
+ * @param {Function} resolve - (fieldPath) => value
+ * @param {Object} options
+ * @param {Boolean} options.encode - URL-encode each merged value
+ * @param {Boolean} options.allowMissing - Merge blanks for missing values instead of returning null
+ * @returns {String|null} null if the template is blank or a value is missing
+ */
+export function mergeTemplate(template, resolve, { encode = false, allowMissing = false } = {}) {
+    if (!template || !template.trim()) return null;
+
+    let missing = false;
+    const merged = template.replace(TOKEN_PATTERN, (match, field) => {
+        const value = resolve(field);
+        if (value === null || value === undefined || value === '') {
+            missing = true;
+            return '';
+        }
+        const text = String(value);
+        return encode ? encodeURIComponent(text) : text;
+    });
+
+    if (missing && !allowMissing) return null;
+    return merged;
+}
+
+/**
+ * Format a raw UI API value for display in the running user's locale
+ * @param {*} value - A number, ISO date or ISO date/time string, or any other value
+ * @returns {String|null}
+ */
+export function formatValue(value) {
+    if (value === null || value === undefined) return null;
+
+    if (typeof value === 'number') {
+        return new Intl.NumberFormat(LOCALE).format(value);
+    }
+
+    const text = String(value);
+    if (DATE_PATTERN.test(text)) {
+        // Date fields have no time zone
+        return new Intl.DateTimeFormat(LOCALE, { dateStyle: 'short', timeZone: 'UTC' })
+            .format(new Date(`${text}T00:00:00Z`));
+    }
+    if (DATE_TIME_PATTERN.test(text)) {
+        return new Intl.DateTimeFormat(LOCALE, { dateStyle: 'short', timeStyle: 'short', timeZone: TIME_ZONE })
+            .format(new Date(text));
+    }
+    return text;
+}
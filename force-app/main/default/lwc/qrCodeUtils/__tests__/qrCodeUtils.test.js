@@ -0,0 +1,23 @@
+import { reduceError, getStateValue } from 'c/qrCodeUtils';
+
+describe('c-qr-code-utils', () => {
+    describe('reduceError', () => {
+        it('reads Apex, JavaScript and string errors', () => {
+            expect(reduceError({ body: { message: 'Insufficient access' } })).toBe('Insufficient access');
+            expect(reduceError(new Error('Failed'))).toBe('Failed');
+            expect(reduceError('Plain')).toBe('Plain');
+            expect(reduceError(null)).toBe('Unknown error');
+            expect(reduceError({})).toBe('Unknown error');
+        });
+    });
+
+    describe('getStateValue', () => {
+        it('reads plain and namespaced parameters', () => {
+            expect(getStateValue({ qrv: 'plain', c__qrv: 'prefixed' }, 'qrv')).toBe('plain');
+            expect(getStateValue({ c__qrv: 'prefixed' }, 'qrv')).toBe('prefixed');
+            expect(getStateValue({ c__other: 'x' }, 'qrv')).toBeNull();
+            expect(getStateValue(undefined, 'qrv')).toBeNull();
+            expect(getStateValue({ qrv: 'x' }, '')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,35 @@
+/***********************************************************************
+ * @license
+ * MIT License
+ * Copyright (c) 2026 SerkinSolutions
+ * See the LICENSE file in the project root for full license text.
+ *
+ * @description
+ * Helpers shared by the QR code components
+ *
+ * @date 2026
+ * @author SerkinSolutions
+ ***********************************************************************/
+
+/**
+ * @param {*} error - An Apex, wire or JavaScript error
+ * @returns {String} A message to show the user
+ */
+export function reduceError(error) {
+    if (!error) return 'Unknown error';
+    if (typeof error === 'string') return error;
+    return error.body?.message || error.message || 'Unknown error';
+}
+
+/**
+ * URL state keys may be prefixed with a namespace, such as c__qrv
+ * @param {Object} state - The state of a page reference
+ * @param {String} name - The parameter name without a prefix
+ * @returns {String} The value, or null when the parameter is not set
+ */
+export function getStateValue(state, name) {
+    if (!state || !name) return null;
+    if (state[name]) return state[name];
+    const key = Object.keys(state).find((k) => k.endsWith(`__${name}`));
+    return key ? state[key] : null;
+}
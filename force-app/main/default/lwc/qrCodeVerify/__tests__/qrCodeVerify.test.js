@@ -0,0 +1,125 @@
+import { createElement } from '@lwc/engine-dom';
+import QrCodeVerify from 'c/qrCodeVerify';
+import { CurrentPageReference } from 'lightning/navigation';
+import verifyToken from '@salesforce/apex/QrCodeSigningService.verifyToken';
+
+jest.mock(
+    '@salesforce/apex/QrCodeSigningService.verifyToken',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const VALID_RESULT = {
+    isValid: true,
+    status: 'Valid',
+    value: '003000000000001AAA',
+    nonce: 'abc123',
+    issuedAt: 1790000000000,
+    expiresAt: 1790000300000
+};
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const createVerify = (props = {}) => {
+    const element = createElement('c-qr-code-verify', {
+        is: QrCodeVerify
+    });
+    Object.assign(element, props);
+    document.body.appendChild(element);
+    return element;
+};
+
+describe('c-qr-code-verify', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('verifies the token property and sets the outputs', async () => {
+        verifyToken.mockResolvedValue(VALID_RESULT);
+        const element = createVerify({ showValue: true });
+        const verifyHandler = jest.fn();
+        const flowHandler = jest.fn();
+        element.addEventListener('verify', verifyHandler);
+        element.addEventListener('lightning__flowattributechange', flowHandler);
+
+        element.token = ' token-1 ';
+        await flushPromises();
+
+        expect(verifyToken).toHaveBeenCalledWith({ token: 'token-1' });
+        expect(element.isValid).toBe(true);
+        expect(element.verifiedValue).toBe('003000000000001AAA');
+        expect(element.tokenNonce).toBe('abc123');
+        expect(verifyHandler.mock.calls[0][0].detail.status).toBe('Valid');
+        // One change event per Flow output
+        expect(flowHandler).toHaveBeenCalledTimes(4);
+        expect(element.shadowRoot.querySelector('.status-message').textContent).toBe('This QR code is valid.');
+        expect(element.shadowRoot.querySelector('.verified-value').textContent).toBe('003000000000001AAA');
+    });
+
+    it('hides the claims of an invalid token', async () => {
+        verifyToken.mockResolvedValue({ ...VALID_RESULT, isValid: false, status: 'Expired' });
+        const element = createVerify({ showValue: true });
+
+        await element.verify('token-1');
+        await flushPromises();
+
+        expect(element.isValid).toBe(false);
+        expect(element.verifiedValue).toBeNull();
+        expect(element.verificationStatus).toBe('Expired');
+        expect(element.shadowRoot.querySelector('.status-message').textContent).toBe('This QR code has expired.');
+        expect(element.shadowRoot.querySelector('.result').classList).toContain('slds-alert_error');
+    });
+
+    it('explains tokens signed with a key that is too short', async () => {
+        verifyToken.mockResolvedValue({ isValid: false, status: 'Invalid Key' });
+        const element = createVerify();
+
+        await element.verify('token-1');
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.status-message').textContent).toContain('too short');
+    });
+
+    it('reads the token from a namespaced url parameter', async () => {
+        verifyToken.mockResolvedValue(VALID_RESULT);
+        createVerify();
+
+        CurrentPageReference.emit({ state: { c__qrt: 'token-2' } });
+        await flushPromises();
+
+        expect(verifyToken).toHaveBeenCalledWith({ token: 'token-2' });
+    });
+
+    it('verifies a pasted token', async () => {
+        verifyToken.mockResolvedValue(VALID_RESULT);
+        const element = createVerify({ showInput: true });
+        await flushPromises();
+
+        const button = element.shadowRoot.querySelector('.verify-button');
+        expect(button.disabled).toBe(true);
+
+        const input = element.shadowRoot.querySelector('.token-input');
+        input.dispatchEvent(new CustomEvent('change', { detail: { value: 'token-3' } }));
+        await flushPromises();
+
+        expect(button.disabled).toBe(false);
+        button.click();
+        await flushPromises();
+
+        expect(verifyToken).toHaveBeenCalledWith({ token: 'token-3' });
+    });
+
+    it('shows errors from the server', async () => {
+        verifyToken.mockRejectedValue({ body: { message: 'QR Code Signing Key Weak must be at least 32 characters.' } });
+        const element = createVerify();
+
+        await element.verify('token-4');
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.error').textContent).toContain('at least 32 characters');
+        expect(element.isValid).toBe(false);
+    });
+});
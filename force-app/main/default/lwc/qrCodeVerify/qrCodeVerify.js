@@ -0,0 +1,175 @@
+/***********************************************************************
+ * @license
+ * MIT License
+ * Copyright (c) 2026 SerkinSolutions
+ * See the LICENSE file in the project root for full license text.
+ *
+ * @description
+ * Verify a signed QR code token created by c/qrCode (signPayload)
+ *
+ * Token sources, in order:
+ *  1) The token property, such as a Flow input or a parent component
+ *  2) The URL parameter named by tokenParamName (qrt or c__qrt)
+ *  3) A token pasted into the input (showInput)
+ *
+ * The result is shown, dispatched as a "verify" event and set on the
+ * Flow output properties (isValid, verifiedValue, verificationStatus, tokenNonce).
+ * The nonce is unique per token. Tokens are not tracked, so a valid token
+ * verifies again until it expires.
+ *
+ * @date 2026
+ * @author SerkinSolutions
+ ***********************************************************************/
+import { LightningElement, api, wire } from 'lwc';
+import { CurrentPageReference } from 'lightning/navigation';
+import { FlowAttributeChangeEvent } from 'lightning/flowSupport';
+import verifyToken from '@salesforce/apex/QrCodeSigningService.verifyToken';
+import { reduceError, getStateValue } from 'c/qrCodeUtils';
+
+const STATUS_MESSAGES = {
+    Valid: 'This QR code is valid.',
+    Expired: 'This QR code has expired.',
+    'Not Yet Valid': 'This QR code is not valid yet.',
+    'Invalid Signature': 'This QR code was not issued by this org or has been changed.',
+    'Unknown Key': 'This QR code was signed with an unknown or revoked key.',
+    'Invalid Key': 'This QR code was signed with a key that is too short to be trusted.',
+    Malformed: 'This is not a signed QR code.'
+};
+
+export default class QrCodeVerify extends LightningElement {
+    @api tokenParamName = 'qrt';
+    @api showInput;
+    @api showValue;
+
+    result;
+    error;
+    isVerifying = false;
+    inputToken = '';
+    _token;
+
+    @api
+    get token() {
+        return this._token;
+    }
+    set token(value) {
+        this._token = value;
+        if (value) {
+            this.verify(value);
+        }
+    }
+
+    @wire(CurrentPageReference)
+    wiredPageRef(pageRef) {
+        const token = getStateValue(pageRef?.state, (this.tokenParamName || '').trim());
+        if (token && !this._token) {
+            this.verify(token);
+        }
+    }
+
+    /******************************
+     * Flow outputs
+     ******************************/
+
+    @api
+    get isValid() {
+        return !!this.result?.isValid;
+    }
+
+    @api
+    get verifiedValue() {
+        return this.isValid ? this.result.value : null;
+    }
+
+    @api
+    get verificationStatus() {
+        return this.result?.status || null;
+    }
+
+    @api
+    get tokenNonce() {
+        return this.isValid ? this.result.nonce : null;
+    }
+
+    /******************************
+     * Computed values
+     ******************************/
+
+    get hasResult() {
+        return !!this.result;
+    }
+
+    get statusMessage() {
+        return this.result ? STATUS_MESSAGES[this.result.status] || this.result.status : null;
+    }
+
+    get alertClass() {
+        const variant = this.result?.isValid ? 'slds-alert_success' : 'slds-alert_error';
+        return `result slds-notify slds-notify_alert ${variant}`;
+    }
+
+    get alertIcon() {
+        return this.result?.isValid ? 'utility:success' : 'utility:error';
+    }
+
+    get showResultValue() {
+        return !!(this.showValue && this.result?.value);
+    }
+
+    get verifyDisabled() {
+        return this.isVerifying || !this.inputToken.trim();
+    }
+
+    /******************************
+     * Public API
+     ******************************/
+
+    /**
+     * Verify a token and show the result
+     * @param {String} token
+     * @returns {Promise<Object>} The verification result from QrCodeSigningService
+     */
+    @api
+    async verify(token) {
+        const value = (token || '').trim();
+        if (!value) return null;
+
+        this.isVerifying = true;
+        this.error = undefined;
+        try {
+            this.result = await verifyToken({ token: value });
+            this.notifyFlow();
+            this.dispatchEvent(new CustomEvent('verify', { detail: { ...this.result } }));
+            return this.result;
+        } catch (error) {
+            this.result = undefined;
+            this.error = reduceError(error);
+            this.notifyFlow();
+            return null;
+        } finally {
+            this.isVerifying = false;
+        }
+    }
+
+    /******************************
+     * Event handlers
+     ******************************/
+
+    handleInputChange(event) {
+        this.inputToken = event.detail.value || '';
+    }
+
+    handleVerify() {
+        this.verify(this.inputToken);
+    }
+
+    /******************************
+     * Utilities
+     ******************************/
+
+    notifyFlow() {
+        ['isValid', 'verifiedValue', 'verificationStatus', 'tokenNonce'].forEach((name) => {
+            this.dispatchEvent(new FlowAttributeChangeEvent(name, this[name]));
+        });
+    }
+
+}